@@ -1,64 +1,273 @@
 // Initialize map with wide view of Nepal for cinematic zoom-in
 const map = L.map('map').setView([28.1, 84.1], 7);
 
-// Add ESRI World Imagery satellite tile layer for better terrain visualization
-L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
-    maxZoom: 18
-}).addTo(map);
+// Basemaps the switcher offers - each tile layer carries its own attribution
+const BASEMAPS = {
+    // ESRI World Imagery satellite tiles for terrain visualization
+    satellite: {
+        provider: 'Esri World Imagery',
+        url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+        options: {
+            attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EGP, and the GIS User Community',
+            maxZoom: 18
+        },
+        offline: true
+    },
+    // OpenStreetMap streets - roads and place names are easier to read than on imagery.
+    // Not pre-cached for offline use: the OSM tile policy forbids bulk downloads.
+    streets: {
+        provider: 'OpenStreetMap',
+        url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        options: {
+            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            maxZoom: 18
+        }
+    },
+    // OpenTopoMap contours and hillshade - shows the hillsides and footpaths people climb to find signal.
+    // Not pre-cached for offline use either: OpenTopoMap's usage policy forbids bulk downloads.
+    terrain: {
+        provider: 'OpenTopoMap',
+        url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+        options: {
+            attribution: 'Map data: &copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors, SRTM | Map style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (<a href="https://creativecommons.org/licenses/by-sa/3.0/">CC-BY-SA</a>)',
+            subdomains: 'abc',
+            maxNativeZoom: 17,
+            maxZoom: 18
+        }
+    }
+};
+
+const basemapLayers = {};
+let currentBasemap = BASEMAPS[localStorage.getItem('basemap')] ? localStorage.getItem('basemap') : 'satellite';
+
+// Backup order when a provider's tiles keep failing (slow or blocked server)
+const TILE_FALLBACK_ORDER = ['satellite', 'streets', 'terrain'];
+const TILE_ERROR_THRESHOLD = 8;
+const TILE_ERROR_WINDOW_MS = 15000;
+
+const failedBasemaps = new Set();
+let tileErrorTimes = [];
+let tileFallbackFrom = null;
+
+// Function to swap the basemap; fallbacks pass remember = false so the user's own choice is kept for the next visit
+function setBasemap(id, remember = true) {
+    if (!BASEMAPS[id]) return;
+    
+    if (basemapLayers[currentBasemap]) {
+        map.removeLayer(basemapLayers[currentBasemap]);
+    }
+    if (!basemapLayers[id]) {
+        basemapLayers[id] = L.tileLayer(BASEMAPS[id].url, BASEMAPS[id].options)
+            .on('tileerror', () => recordTileError(id));
+    }
+    // Keep the basemap under boundaries and markers
+    basemapLayers[id].addTo(map).bringToBack();
+    
+    currentBasemap = id;
+    tileErrorTimes = [];
+    if (remember) {
+        localStorage.setItem('basemap', id);
+        // Picking a basemap by hand gives it another chance and clears the notice
+        failedBasemaps.delete(id);
+        tileFallbackFrom = null;
+        updateTileNotice();
+    }
+    
+    document.querySelectorAll('.basemap-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.basemap === id);
+    });
+}
+
+// Count tile failures on the active basemap and move to a backup once they pile up
+function recordTileError(id) {
+    if (id !== currentBasemap) return;
+    
+    const now = Date.now();
+    tileErrorTimes = tileErrorTimes.filter(time => now - time < TILE_ERROR_WINDOW_MS);
+    tileErrorTimes.push(now);
+    if (tileErrorTimes.length < TILE_ERROR_THRESHOLD) return;
+    
+    failedBasemaps.add(id);
+    // With no connection only the basemaps in the offline download can load
+    const backup = TILE_FALLBACK_ORDER.find(candidate => !failedBasemaps.has(candidate) &&
+        (navigator.onLine || BASEMAPS[candidate].offline));
+    if (!backup) {
+        console.warn('All tile providers are failing - keeping', BASEMAPS[id].provider);
+        tileErrorTimes = [];
+        return;
+    }
+    
+    console.warn(`${BASEMAPS[id].provider} tiles keep failing, switching to ${BASEMAPS[backup].provider}`);
+    tileFallbackFrom = tileFallbackFrom || id;
+    setBasemap(backup, false);
+    updateTileNotice();
+}
+
+// Small notice naming the tile provider in use while a fallback is active
+function updateTileNotice() {
+    const notice = document.getElementById('tile-provider-notice');
+    if (!notice) return;
+    
+    if (!tileFallbackFrom) {
+        notice.classList.remove('show');
+        return;
+    }
+    notice.innerHTML = `<i class="fas fa-triangle-exclamation"></i> ${t('tiles.fallback', {
+        failed: BASEMAPS[tileFallbackFrom].provider,
+        active: BASEMAPS[currentBasemap].provider
+    })}`;
+    notice.classList.add('show');
+}
+
+setBasemap(currentBasemap);
 
 // Global variables to store boundary polygons
 let nepalPolygon = null;
 let bagmatiPolygon = null;
 let nagarjunPolygon = null;
 
+// Country GeoJSON behind nepalPolygon (provinces as features), kept for the drill-down
+let nepalBoundaryData = null;
+
 // Marker reference storage for highlighting
 let markerReferences = {
     houses: [],
-    khajaghar: [],
-    school: null,
-    streetInterviews: [],
     areas: []
 };
 
+// Bundled boundary GeoJSON - pinned copies, see data/boundaries/sources.json for source, version and license.
+// Rebuild them with tools/fetch-boundaries.js so upstream changes never alter the map unreviewed.
+const BOUNDARY_SOURCES_URL = 'data/boundaries/sources.json';
+
+// Municipality outlines come one file per district, named after the nepal-geojson district (RUKUM5 -> rukum5.geojson)
+const BUNDLED_MUNICIPALITY_DIR = 'data/boundaries/municipalities';
+
+const BUNDLED_BOUNDARY_GEOJSON_URLS = {
+    country: 'data/boundaries/nepal-provinces.geojson',
+    // Only Kathmandu's file is needed up front - it holds the Nagarjun outline
+    municipalities: [`${BUNDLED_MUNICIPALITY_DIR}/kathmandu.geojson`],
+    districts: ['data/boundaries/nepal-districts.geojson']
+};
+
+// Live upstream sources, in the order the loaders try them - only used with ?refreshBoundaries
+const REMOTE_BOUNDARY_GEOJSON_URLS = {
+    country: 'https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/nepal-with-provinces-acesmndr.geojson',
+    countryFallback: 'https://raw.githubusercontent.com/din751/nepal_boundary/main/nepal.geojson',
+    countryOknp: 'https://localboundries.oknp.org/data/country.geojson',
+    countryCommunity: 'https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-states.geojson',
+    municipalities: [
+        'https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/municipalities.geojson',
+        'https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-municipalities.geojson'
+    ],
+    districts: [
+        'https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/districts.geojson',
+        'https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-districts-new.geojson'
+    ]
+};
+
+// Opt-in check of the live upstream files against the bundled copies (e.g. before re-pinning)
+const boundaryRefreshEnabled = new URLSearchParams(window.location.search).has('refreshBoundaries');
+const BOUNDARY_GEOJSON_URLS = boundaryRefreshEnabled ? REMOTE_BOUNDARY_GEOJSON_URLS : BUNDLED_BOUNDARY_GEOJSON_URLS;
+
 // Async function to load official Nepal government boundaries including disputed territories
 async function loadGeographicBoundaries() {
-    console.log('Starting to load official Nepal government boundaries...');
+    if (!boundaryRefreshEnabled && await loadBundledBoundaries()) {
+        return;
+    }
     
-    try {
-        // Load Nepal country boundary including Kalapani, Lipulekh, and Limpiyadhura territories (2020 update)
-        console.log('Loading official Nepal boundary with disputed territories...');
-        const nepalResponse = await fetch('https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/nepal-with-provinces-acesmndr.geojson');
-        
-        if (!nepalResponse.ok) {
-            console.warn('Primary official source failed, trying alternative...');
-            // Fallback to alternative official boundary source
-            const fallbackResponse = await fetch('https://raw.githubusercontent.com/din751/nepal_boundary/main/nepal.geojson');
-            if (fallbackResponse.ok) {
-                const fallbackData = await fallbackResponse.json();
-                await loadNepalBoundaryData(fallbackData, 'fallback official source');
-                return;
+    console.log('Loading official Nepal government boundaries from upstream...');
+    
+    // Best source first; any that fails to load or fails the 2020 boundary check is skipped
+    const countrySources = [
+        ['primary', REMOTE_BOUNDARY_GEOJSON_URLS.country, 'primary official source'],
+        ['din751', REMOTE_BOUNDARY_GEOJSON_URLS.countryFallback, 'fallback official source'],
+        ['oknp', REMOTE_BOUNDARY_GEOJSON_URLS.countryOknp, 'Open Knowledge Nepal (government-verified)'],
+        ['mesaugat', REMOTE_BOUNDARY_GEOJSON_URLS.countryCommunity, 'community-maintained']
+    ];
+    
+    for (const [id, url, source] of countrySources) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Fetch failed: ${response.status}`);
             }
-            throw new Error(`Nepal official data fetch failed: ${nepalResponse.status}`);
+            await loadNepalBoundaryData(await response.json(), source);
+            // Fetched live just now
+            setBoundarySource(id, new Date().toISOString().slice(0, 10));
+            return;
+        } catch (error) {
+            console.warn(`Boundary source rejected (${source}):`, error);
         }
+    }
+    
+    console.warn('All official boundary sources failed, falling back to simplified boundaries with disclaimer...');
+    loadFallbackBoundaries();
+}
+
+// Load the bundled boundary copies - no network beyond our own origin. Resolves false if they are missing or rejected.
+async function loadBundledBoundaries() {
+    try {
+        const response = await fetch(BOUNDARY_GEOJSON_URLS.country);
+        if (!response.ok) {
+            throw new Error(`Bundled boundary file missing: ${response.status}`);
+        }
+        const nepalData = await response.json();
+        await loadNepalBoundaryData(nepalData, 'bundled copy');
         
-        const nepalData = await nepalResponse.json();
-        await loadNepalBoundaryData(nepalData, 'primary official source');
-        
+        // Package version, license and build date of the copy, recorded by tools/fetch-boundaries.js
+        const manifest = await fetch(BOUNDARY_SOURCES_URL).then(res => res.json()).catch(() => null);
+        const pinned = manifest?.files.find(file => file.id === 'country') || {};
+        setBoundarySource('bundled', pinned.retrieved, manifest?.package);
+        return true;
     } catch (error) {
-        console.warn('Error loading official geographic boundaries:', error);
-        console.log('Attempting to load from government-verified sources...');
-        await loadGovernmentVerifiedBoundaries();
+        console.warn('Bundled boundaries missing or rejected, trying upstream sources (see tools/fetch-boundaries.js):', error);
+        return false;
     }
 }
 
+// Who drew the Nepal outline currently on the map, for the Map Info panel
+const BOUNDARY_SOURCE_INFO = {
+    bundled: { name: 'nepal-geojson (sthaniya.gov.np)', url: 'https://github.com/Acesmndr/nepal-geojson' },
+    primary: { name: 'Acesmndr/nepal-geojson', url: 'https://github.com/Acesmndr/nepal-geojson' },
+    din751: { name: 'din751/nepal_boundary', url: 'https://github.com/din751/nepal_boundary' },
+    oknp: { name: 'Open Knowledge Nepal - Local Boundaries', url: 'https://localboundries.oknp.org' },
+    mesaugat: { name: 'mesaugat/geoJSON-Nepal', url: 'https://github.com/mesaugat/geoJSON-Nepal' },
+    fallback: { name: null, url: null }
+};
+
+// { id, retrieved, version, license } once loadGeographicBoundaries has settled on a source
+let boundarySource = null;
+
+function setBoundarySource(id, retrieved, pinned = {}) {
+    boundarySource = {
+        id,
+        retrieved: retrieved || null,
+        version: pinned.version ? `${pinned.name} ${pinned.version}` : null,
+        license: pinned.license || null
+    };
+    console.log('Boundary source in use:', boundarySource);
+    updateBoundaryNotice();
+}
+
+// Warning on the map while the hand-drawn outline is showing
+function updateBoundaryNotice() {
+    const notice = document.getElementById('boundary-notice');
+    if (!notice) return;
+    
+    notice.classList.toggle('show', boundarySource?.id === 'fallback');
+}
+
 // Function to process Nepal boundary data from official sources
 async function loadNepalBoundaryData(nepalData, source) {
     console.log(`Nepal boundary data loaded from ${source}, features count:`, nepalData.features?.length);
     
-    // Verify if this includes the 2020 updates (Kalapani region)
-    const hasDisputedTerritories = await verifyDisputedTerritories(nepalData);
-    console.log('Disputed territories (Kalapani, Lipulekh, Limpiyadhura) included:', hasDisputedTerritories);
+    // Only the 2020 official map (with Kalapani, Lipulekh and Limpiyadhura) may be drawn
+    const problem = verifyDisputedTerritories(nepalData);
+    if (problem) {
+        throw new Error(`Not the 2020 official boundary: ${problem}`);
+    }
+    console.log('Disputed territories (Kalapani, Lipulekh, Limpiyadhura) included');
+    nepalBoundaryData = nepalData;
     
     // Create Nepal boundary (country or combined provinces)
     nepalPolygon = L.geoJSON(nepalData, {
@@ -79,56 +288,70 @@ async function loadNepalBoundaryData(nepalData, source) {
     await loadOfficialMunicipalityBoundaries();
 }
 
-// Verify if boundary data includes the disputed territories added in 2020
-async function verifyDisputedTerritories(geoJsonData) {
-    try {
-        // Check for coordinates in the Kalapani region (approximately 30.2°N, 80.8°E)
-        const features = geoJsonData.features || [geoJsonData];
-        
-        for (const feature of features) {
-            if (feature.geometry && feature.geometry.coordinates) {
-                const coords = JSON.stringify(feature.geometry.coordinates);
-                // Look for coordinates that would indicate inclusion of western disputed areas
-                if (coords.includes('80.8') || coords.includes('80.9')) {
-                    return true;
-                }
-            }
-        }
-        return false;
-    } catch (error) {
-        console.warn('Error verifying disputed territories:', error);
-        return false;
-    }
+// Extent of the 2020 official map (approximate; Limpiyadhura sets the north-west corner)
+const NEPAL_2020_BOUNDS = { south: 26.35, north: 30.43, west: 80.06, east: 88.19 };
+
+// Tolerance on the extent for simplified outlines, in degrees
+const NEPAL_BOUNDS_TOLERANCE = 0.1;
+
+// Points the 2020 map must contain: the Kalapani-Lipulekh-Limpiyadhura area (outside the
+// pre-2020 outline) plus Kathmandu as a sanity check that the geometry reads at all
+const NEPAL_2020_INSIDE_POINTS = [
+    { name: 'Kathmandu', lat: 27.70, lng: 85.32 },
+    { name: 'Kalapani-Lipulekh-Limpiyadhura area', lat: 30.28, lng: 80.81 }
+];
+
+// Points it must not contain - rules out boxes and outlines spilling into India or China
+const NEPAL_2020_OUTSIDE_POINTS = [
+    { name: 'Pithoragarh', lat: 29.58, lng: 80.22 },
+    { name: 'Lucknow', lat: 26.85, lng: 80.95 },
+    { name: 'Lhasa', lat: 29.65, lng: 91.12 }
+];
+
+function isPolygonFeature(feature) {
+    return Boolean(feature.geometry) && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type);
 }
 
-// Load from government-verified community sources as fallback
-async function loadGovernmentVerifiedBoundaries() {
+// Check boundary data against the 2020 official map. Returns null when it matches, otherwise what failed.
+function verifyDisputedTerritories(geoJsonData) {
     try {
-        console.log('Loading from government-verified community sources...');
-        
-        // Try Open Knowledge Nepal which uses government data
-        const oknpResponse = await fetch('https://localboundries.oknp.org/data/country.geojson');
-        if (oknpResponse.ok) {
-            const oknpData = await oknpResponse.json();
-            await loadNepalBoundaryData(oknpData, 'Open Knowledge Nepal (government-verified)');
-            return;
+        const features = (geoJsonData.features || [geoJsonData.type === 'Feature' ? geoJsonData : { geometry: geoJsonData }])
+            .filter(isPolygonFeature);
+        if (features.length === 0) {
+            return 'no polygon features';
         }
         
-        // Final fallback to mesaugat repository with note about limitations
-        console.warn('Using community-maintained boundaries - may not include complete disputed territories');
-        const communityResponse = await fetch('https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-states.geojson');
-        if (communityResponse.ok) {
-            const communityData = await communityResponse.json();
-            await loadNepalBoundaryData(communityData, 'community-maintained (limitations noted)');
-            return;
+        // Bounding box over every vertex
+        const bounds = { south: 90, north: -90, west: 180, east: -180 };
+        features.forEach(feature => {
+            const polygons = feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+            polygons.flat().flat().forEach(([lng, lat]) => {
+                bounds.south = Math.min(bounds.south, lat);
+                bounds.north = Math.max(bounds.north, lat);
+                bounds.west = Math.min(bounds.west, lng);
+                bounds.east = Math.max(bounds.east, lng);
+            });
+        });
+        const expected = NEPAL_2020_BOUNDS;
+        const tolerance = NEPAL_BOUNDS_TOLERANCE;
+        if (Math.abs(bounds.south - expected.south) > tolerance || Math.abs(bounds.north - expected.north) > tolerance ||
+            Math.abs(bounds.west - expected.west) > tolerance || Math.abs(bounds.east - expected.east) > tolerance) {
+            return `extent ${bounds.south.toFixed(2)},${bounds.west.toFixed(2)} to ${bounds.north.toFixed(2)},${bounds.east.toFixed(2)} does not match the 2020 map`;
         }
         
-        throw new Error('All official and verified boundary sources failed');
-        
+        const contains = point => features.some(feature => featureContains(feature, point.lat, point.lng));
+        const missing = NEPAL_2020_INSIDE_POINTS.find(point => !contains(point));
+        if (missing) {
+            return `${missing.name} is outside the boundary`;
+        }
+        const extra = NEPAL_2020_OUTSIDE_POINTS.find(point => contains(point));
+        if (extra) {
+            return `${extra.name} is inside the boundary`;
+        }
+        return null;
     } catch (error) {
-        console.warn('All official boundary sources failed:', error);
-        console.log('Falling back to simplified boundaries with disclaimer...');
-        loadFallbackBoundaries();
+        console.warn('Error verifying disputed territories:', error);
+        return 'geometry could not be read';
     }
 }
 
@@ -139,7 +362,7 @@ async function loadProvinceFromData(nepalData) {
     // Look for Bagmati Province in the features
     const bagmatiFeature = nepalData.features?.find(feature => {
         const props = feature.properties || {};
-        const name = props.ADM1_EN || props.PROVINCE || props.NAME || '';
+        const name = String(props.ADM1_EN || props.PROVINCE || props.Province || props.NAME || '');
         return name.toLowerCase().includes('bagmati') || name === '3' || name === 'Province 3';
     });
     
@@ -167,10 +390,7 @@ async function loadOfficialMunicipalityBoundaries() {
         console.log('Loading official municipality boundaries...');
         
         // Try official/verified municipality data
-        const sources = [
-            'https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/municipalities.geojson',
-            'https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-municipalities.geojson'
-        ];
+        const sources = BOUNDARY_GEOJSON_URLS.municipalities;
         
         for (const source of sources) {
             try {
@@ -198,7 +418,7 @@ async function findNagarjunInData(municipalityData, source) {
     
     // Search for Nagarjun Municipality
     const nagarjunFeature = municipalityData.features?.find(feature => {
-        const name = feature.properties.NAME || '';
+        const name = feature.properties.NAME || feature.properties.FIRST_GaPa || '';
         return name.toLowerCase().includes('nagarjun');
     });
     
@@ -230,10 +450,7 @@ async function loadDistrictBoundaries() {
         console.log('Loading official district boundaries as fallback...');
         
         // Try official district sources
-        const sources = [
-            'https://raw.githubusercontent.com/Acesmndr/nepal-geojson/master/generated-geojson/districts.geojson',
-            'https://raw.githubusercontent.com/mesaugat/geoJSON-Nepal/master/nepal-districts-new.geojson'
-        ];
+        const sources = BOUNDARY_GEOJSON_URLS.districts;
         
         for (const source of sources) {
             try {
@@ -245,7 +462,7 @@ async function loadDistrictBoundaries() {
                 
                 // Find Kathmandu district (where Nagarjun Municipality is located)
                 const kathmanduFeature = districtData.features?.find(feature => {
-                    const name = feature.properties.NAME || feature.properties.DISTRICT || '';
+                    const name = feature.properties.NAME || feature.properties.DIST_NAME || feature.properties.DISTRICT || '';
                     return name.toLowerCase().includes('kathmandu');
                 });
                 
@@ -283,6 +500,7 @@ async function loadDistrictBoundaries() {
 function loadFallbackBoundaries() {
     console.log('Loading fallback boundaries...');
     console.warn('WARNING: Fallback boundaries do not include Kalapani, Lipulekh, and Limpiyadhura territories');
+    setBoundarySource('fallback');
     
     // More accurate Nepal outline (simplified but recognizable shape)
     const nepalOutline = [
@@ -366,439 +584,222 @@ function loadFallbackBoundaries() {
 }
 
 
-// Digital divide stories from Bhimdhunga, Nagarjun
-const houseData = [
-    {
-        id: 1,
-        lat: 27.725362, 
-        lng: 85.224747,
-        title: "Tech-Resistant Household",
-        youtubeId: "dQw4w9WgXcQ", // Example YouTube video ID - replace with actual interviews
-        audio: "audio/family1_testimony.mp3",
-        digitalAccess: "low",
-        ageCategory: "digital_native",
-        selfEfficacy: "high_confidence",
-        ageJourneyOrder: 4,
-        efficacyJourneyOrder: 4,
-        profile: {
-            headshot: "https://via.placeholder.com/120x120/3b82f6/ffffff?text=R.S.",
-            role: "Software Engineer & Family Head",
-            description: "A tech professional who works remotely while managing a digitally connected household. Despite having advanced digital access, his family faces challenges of screen time management and maintaining human connections."
-        },
-        photos: [
-            {
-                image: "https://via.placeholder.com/400x200/f1f5f9/64748b?text=Home+Office+Setup",
-                quote: "\"In the past when there is no phone all the family members sit together... but after all the people got phones everybody enjoys their own, not like before\" - Digital Divide Reality"
-            },
-            {
-                image: "https://via.placeholder.com/400x200/f1f5f9/64748b?text=Family+Tech+Time",
-                quote: "\"The older generation doesn't have knowledge about technology, but new generation went too far, that's why we have to teach the older generation\" - Generational Gap"
-            },
-            {
-                image: "https://via.placeholder.com/400x200/f1f5f9/64748b?text=Digital+Learning",
-                quote: "\"Online class was so difficult because data didn't work properly... we have to go on the height, top of the hills because of poor network\" - Network Challenges"
-            }
-        ],
-        stats: {
-            internetSpeed: "100 Mbps Fiber",
-            devices: "5 smartphones, 3 laptops, 2 tablets",
-            monthlyDataCost: "NPR 2,500",
-            digitalSkills: "Advanced",
-            onlineServices: "Banking, Shopping, Education, Work"
-        },
-        story: {
-            quote: "\"Everyday argument. We scold them but still they don't respond properly... Classic tech is worst\" - Internet Provider Issues",
-            reality: "Despite having high-speed connectivity, the family experiences the social costs of digital saturation and infrastructure reliability issues that affect daily life.",
-            testimonial: "Connection cost NPR 17,000, 7-8 years ago. Speed varies - 350mbps in some homes, 50-80mbps in others. But the real cost is how technology changed our family dynamics.",
-            resident: "Sudiksha Tamang"
-        }
-    },
-    {
-        id: 2,
-        lat: 27.738000,
-        lng: 85.238667,
-        title: "Hill farming household",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/family2_testimony.mp3",
-        digitalAccess: "high",
-        stats: {
-            internetSpeed: "50 Mbps Fiber",
-            devices: "4 smartphones, 2 laptops, 1 tablet",
-            monthlyDataCost: "NPR 1,800",
-            digitalSkills: "Good",
-            onlineServices: "Banking, Education, Shopping"
-        },
-        story: {
-            quote: "\"Our children can do homework online, but when internet fails, they struggle with offline alternatives.\"",
-            reality: "High-speed internet enables digital learning, but creates dependency. Power outages and connectivity issues significantly impact daily routines.",
-            testimonial: "We're digitally connected but realize how dependent we've become. During the last internet outage, even simple tasks became difficult.",
-            resident: "Pratima Tamang, Farmer"
-        }
-    },
-    {
-        id: 3,
-        lat: 27.738500,
-        lng: 85.237750,
-        title: "Agricultural Knowledge Seeker Household",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4",
-        digitalAccess: "high",
-        ageCategory: "late_adopter",
-        selfEfficacy: "low_persistence",
-        ageJourneyOrder: 3,
-        efficacyJourneyOrder: 2,
-        participant: "Ram Raj Lama", // Reference to actual interview participant
-        stats: {
-            internetSpeed: "25 Mbps",
-            devices: "5 smartphones, 1 laptop",
-            monthlyDataCost: "NPR 1,500",
-            digitalSkills: "Mixed - youth advanced, elders basic",
-            onlineServices: "Social media, some banking"
-        },
-        story: {
-            quote: "\"My grandchildren help me with digital payments, but I worry about being dependent on them.\"",
-            reality: "Three generations under one roof experience different levels of digital comfort, creating both support networks and dependencies.",
-            testimonial: "The young ones are always on phones helping us older people with apps and forms. It's good but also makes us feel helpless sometimes.",
-            resident: "Ram Raj Lama"
-        }
-    },
-    {
-        id: 4,
-        lat: 27.739389,
-        lng: 85.236333,
-        title: "Farming Crew Household",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/farming_family.mp3",
-        digitalAccess: "medium",
-        participant: "Dhan Bahadur Tamang", // Reference to actual interview participant
-        profile: {
-            headshot: "photos/headshots/Dhanbahadur Tamang.JPG",
-            role: "40-year-old Farmer",
-            description: "Dhan Bahadur Tamang, father and practical phone user. Uses smartphone mainly for calls (2-4 daily) and leisure browsing. Been using phones 8-10 years, WiFi for 6-7 years. Handles family's online banking while others don't."
-        },
-        stats: {
-            internetSpeed: "Unknown (Supernet provider - \"It works normally\")",
-            devices: "Multiple smartphones (family)",
-            monthlyDataCost: "Not specified",
-            digitalSkills: "Basic use - sticks to familiar functions",
-            onlineServices: "eSewa, YouTube (news), Facebook, TikTok (leisure)"
-        },
-        story: {
-            quote: "\"I just use the things that I already know. New things... I don't know. I haven't studied. I don't know how to write, I just watch.\"",
-            reality: "Practical digital users who stick to familiar functions, representing steady but limited technology adoption patterns in farming communities.",
-            testimonial: "Mobile phone has become the go-to thing for leisure time. We charge it when working, use it while eating breakfast, lunch, before sleeping - about 1 hour total.",
-            resident: "Dhan Bahadur Tamang, Farmer"
-        },
-        photos: [
-            {
-                image: "placeholder1.jpg",
-                quote: "\"I just use the things that I already know. New things... I don't know. I haven't studied. I don't know how to write, I just watch.\""
-            },
-            {
-                image: "placeholder2.jpg", 
-                quote: "\"I watch only Nepali news that I find trustworthy - the ones about what's happening around the world, fights and wars. I watch all the news channels on YouTube.\""
-            },
-            {
-                image: "placeholder3.jpg",
-                quote: "\"Mobile phone has become the go-to thing for leisure time. We charge it when working, use it while eating breakfast, lunch, before sleeping - about 1 hour total.\""
-            }
-        ]
-    },
-    {
-        id: 5,
-        lat: 27.731611,
-        lng: 85.236083,
-        title: "Cross-Border Family Household",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4",
-        audio: "audio/rural_urban_family.mp3",
-        digitalAccess: "medium",
-        stats: {
-            internetSpeed: "20 Mbps (inconsistent)",
-            devices: "4 smartphones, 1 shared laptop",
-            monthlyDataCost: "NPR 1,200",
-            digitalSkills: "Developing",
-            onlineServices: "Remittances, video calls, basic banking"
-        },
-        story: {
-            quote: "\"We moved here from the village for better internet, but still help relatives back home with digital services.\"",
-            reality: "Families serve as digital bridges between rural areas and urban connectivity, supporting extended networks while managing their own digital adaptation.",
-            testimonial: "Every week relatives call asking us to help them with online forms or digital payments. We're like the tech support for our whole extended family.",
-            resident: "Mishri Tamang"
-        }
-    },
-    {
-        id: 6,
-        lat: 27.729194,
-        lng: 85.234389,
-        title: "Newcomer's perspective of community",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4",
-        audio: "audio/elderly_adaptation.mp3",
-        digitalAccess: "high",
-        ageCategory: "elderly",
-        selfEfficacy: "complete_avoidance",
-        ageJourneyOrder: 1,
-        efficacyJourneyOrder: 1,
-        participant: "Maili Tamang", // Reference to actual interview participant
-        stats: {
-            internetSpeed: "10 Mbps (shared)",
-            devices: "2 basic smartphones",
-            monthlyDataCost: "NPR 800",
-            digitalSkills: "Limited but learning",
-            onlineServices: "WhatsApp, some banking"
-        },
-        story: {
-            quote: "\"Our grandchildren taught us WhatsApp, but online banking still scares us.\"",
-            reality: "Senior citizens face the steepest learning curve in digital adoption, often relying on family members for digital tasks while trying to maintain independence.",
-            testimonial: "We want to learn but worry about making mistakes with money online. The buttons are small and the language is confusing.",
-            resident: "Nirisuchika Tamang, cloth shopowner"
+// Story dataset (locations, quotes, stats and media) lives in data/stories.json
+// so stories can be added or corrected without touching this file
+const STORY_DATASET_URL = 'data/stories.json';
+const STORY_DATASET_VERSION = 2;
+
+let storyDataset = null;
+let storyLocations = [];
+let storyDatasetReady = null;
+
+// Participant registry - one entry per interviewee, keyed by a stable id
+let participants = [];
+
+// Digital divide stories from Bhimdhunga, Nagarjun (houses and the foundation building)
+let houseData = [];
+
+// Community area stories from Nagarjun Municipality Ward 8
+let areaData = [];
+
+// Quote theme taxonomy - quotes list theme ids in their tags
+let themeData = [];
+
+// Load the story dataset and build the house markers from it
+async function loadStoryDataset() {
+    console.log('Loading story dataset from', STORY_DATASET_URL);
+    
+    try {
+        const response = await fetch(STORY_DATASET_URL);
+        if (!response.ok) {
+            throw new Error(`Story dataset fetch failed: ${response.status}`);
         }
-    },
-    {
-        id: 7,
-        lat: 27.726012,
-        lng: 85.224607,
-        title: "Young Professional's Home Office",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/remote_worker.mp3",
-        digitalAccess: "high",
-        stats: {
-            internetSpeed: "100 Mbps dedicated",
-            devices: "2 laptops, 3 smartphones, tablet, smart TV",
-            monthlyDataCost: "NPR 3,000",
-            digitalSkills: "Expert level",
-            onlineServices: "All digital - work, banking, entertainment, shopping"
-        },
-        story: {
-            quote: "\"I live completely digital, but I see how it isolates me from neighbors who aren't as connected.\"",
-            reality: "Remote workers represent the most digitally integrated segment but often become inadvertent examples of digital inequality in their communities.",
-            testimonial: "My internet is faster than some offices, but my elderly neighbor asks me to help with basic phone calls because her connection is unreliable.",
-            resident: "Anita Shrestha, Software Developer"
+        
+        const dataset = await response.json();
+        if (dataset.version !== STORY_DATASET_VERSION) {
+            console.warn(`Story dataset version ${dataset.version} does not match expected version ${STORY_DATASET_VERSION}`);
         }
-    },
-    {
-        id: 8,
-        lat: 27.726464,
-        lng: 85.224558,
-        title: "Extended Family Home",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4",
-        audio: "audio/extended_family.mp3",
-        digitalAccess: "high",
-        participant: "Sikha Limbu", // Reference to actual interview participant
-        profile: {
-            headshot: "interviews/houses/high access/Extended family home/Sikha Limbu.JPG",
-            role: "26-year-old Agriculture & Homemaker",
-            description: "26-year-old married woman from Majhuwa, agriculture and homemaker. Lives in large extended family (15 members). Uses phone 6-7 hours daily and is excited to learn new technology, but faces technical limitations."
-        },
-        stats: {
-            internetSpeed: "Not specified (uses Classic-Tech provider)",
-            devices: "9 smartphones (household total)",
-            monthlyDataCost: "Not specified",
-            digitalSkills: "Medium-High - enthusiastic learner, agricultural research",
-            onlineServices: "YouTube (farming research - godachitra/passion fruit), Facebook (shopping)"
-        },
-        story: {
-            quote: "\"I'm excited to learn new technology, but when I face obstacles I repeat it for a bit, then if I can't figure it out, I just leave it. Payment apps are important but they don't work on my phone - we tried a lot but couldn't get them working.\"",
-            reality: "Technology enthusiasm meets technical limitations in large households where 15 family members navigate varying digital comfort levels and infrastructure challenges.",
-            testimonial: "We taught Papa how to pick up calls and he learned a little bit, but Mummy doesn't have interest and we didn't teach her. My husband uses mobile banking but I don't. Women mostly watch TikTok, men watch bike and vehicle content.",
-            resident: "Sikha Limbu, Agriculture & Homemaker"
-        },
-        photos: [
-            {
-                image: "placeholder1.jpg",
-                quote: "\"I ordered jewelry worth Rs. 2000 and got scammed - didn't receive the complete product. After that my trust level decreased in online shopping... but after seeing new stuff, I still want to order.\""
-            },
-            {
-                image: "placeholder2.jpg", 
-                quote: "\"We taught Papa how to pick up calls and he learned a little bit, but Mummy doesn't have interest and we didn't teach her.\""
-            },
-            {
-                image: "placeholder3.jpg",
-                quote: "\"When we grow new things, we use internet. Recently we're growing godachitra (passion fruit) and use YouTube for farming information.\""
+        
+        storyDataset = dataset;
+        storyLocations = dataset.locations || [];
+        participants = dataset.participants || [];
+        houseData = storyLocations.filter(location => location.type === 'house' || location.type === 'foundation');
+        areaData = dataset.areas || [];
+        themeData = dataset.themes || [];
+        invalidateSearchIndex();
+        console.log(`Story dataset revision ${dataset.revision} loaded: ${storyLocations.length} locations, ${participants.length} participants, ${areaData.length} areas`);
+        
+        createHouseMarkers();
+    } catch (error) {
+        console.error('Error loading story dataset, map will open without stories:', error);
+    }
+}
+
+// Look up a story location by its dataset id
+function getStoryLocation(id) {
+    return storyLocations.find(location => location.id === id);
+}
+
+// Get all story locations of one type (e.g. 'khajaghar', 'street_interview')
+function getStoryLocationsByType(type) {
+    return storyLocations.filter(location => location.type === type);
+}
+
+// Look up a participant by their registry id
+function getParticipant(id) {
+    return participants.find(participant => participant.id === id);
+}
+
+// Look up a participant by name or one of their recorded name variants (e.g. 'Bijaya Tamang', 'Principal')
+function findParticipantByName(name) {
+    const needle = name.trim().toLowerCase();
+    return participants.find(participant =>
+        participant.name.toLowerCase() === needle ||
+        participant.aliases.some(alias => alias.toLowerCase() === needle)
+    );
+}
+
+// Interface language - data/i18n/<language>.json holds the UI strings for each language,
+// plus Nepali translations of story content keyed by dataset id (English content is the dataset itself)
+const I18N_URL = 'data/i18n/';
+const SUPPORTED_LANGUAGES = ['en', 'ne'];
+const DEVANAGARI_DIGITS = ['०', '१', '२', '३', '४', '५', '६', '७', '८', '९'];
+
+let currentLanguage = localStorage.getItem('language') === 'ne' ? 'ne' : 'en';
+let translations = {};
+
+// Load the string tables and translate the static page
+async function loadTranslations() {
+    await Promise.all(SUPPORTED_LANGUAGES.map(async language => {
+        try {
+            const response = await fetch(`${I18N_URL}${language}.json`);
+            if (!response.ok) {
+                throw new Error(`Translation fetch failed: ${response.status}`);
             }
-        ]
-    },
-    {
-        id: 9,
-        lat: 27.726005,
-        lng: 85.224614,
-        title: "Pragmatic Driver Household",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/extended_family.mp3",
-        digitalAccess: "low",
-        stats: {
-            internetSpeed: "N/A",
-            devices: "4 phones",
-            monthlyDataCost: "Mobile data",
-            digitalSkills: "Basic",
-            onlineServices: "eSewa"
-        },
-        story: {
-            quote: "\"Our house became the family tech support center - relatives come here for internet and digital help.\"",
-            reality: "Well-connected households often become informal community digital service centers, supporting extended networks while managing their own high usage demands.",
-            testimonial: "Every weekend relatives visit to video call family abroad, print documents, or get help with government forms online. We're like a one-family internet cafe.",
-            resident: "Tej Tamang, Local route driver"
-        }
-    },
-    {
-        id: 10,
-        lat: 27.717359398869263,
-        lng: 85.33453670762191,
-        title: "ALIN Foundation Building",
-        digitalAccess: "foundation",
-        isFoundation: true,
-        foundation: {
-            name: "All In Foundation",
-            mission: "ALIN is a social impact company that works in various sectors to address the unjust walls of power and privilege in Nepal and beyond.",
-            description: "All In Solutions Fellowship is an interdisciplinary fellowship that focuses on innovative solutions to Nepal's (or global) complex problems.",
-            logo: "ALIN_logo.jpg",
-            // teamPhotos: [
-            //     {
-            //         name: "Research Fellow 1",
-            //         role: "Digital Divide Researcher",
-            //         photo: "https://via.placeholder.com/150x150/3b82f6/ffffff?text=RF1",
-            //         bio: "Focuses on rural-urban digital transition patterns"
-            //     },
-            //     {
-            //         name: "Research Fellow 2", 
-            //         role: "Community Technology Coordinator",
-            //         photo: "https://via.placeholder.com/150x150/10b981/ffffff?text=RF2",
-            //         bio: "Specializes in community-based digital literacy programs"
-            //     },
-            //     {
-            //         name: "Research Fellow 3",
-            //         role: "Data Storytelling Specialist", 
-            //         photo: "https://via.placeholder.com/150x150/f59e0b/ffffff?text=RF3",
-            //         bio: "Creates multimedia narratives from research findings"
-            //     }
-            // ],
-            faq: [
-                {
-                    question: "Who are we?",
-                    answer: "We are a group of emerging professionals — a future constitutional lawyer, a public health practitioner in training, a aspiring cognitive scientist, and an economist in the making. Together, we aim to serve as a bridge(SETU) between digital literacy and lived experiences."
-                },
-                {
-                    question: "What is this research about?",
-                    answer: "We are conducting a qualitative study to understand the lived experirence of digital divide in Bhimdhunga, Ward No. 8."
-                },
-                {
-                    question: "How are the research findings made available?",
-                    answer: "Through this interactive platform you can either wander freely between houses to discover individual stories, or follow guided journeys that reveal how digital adoption varies across generations and circumstances. A comprehensive written report with detailed analysis is also available [here]."
-                },
-                {
-                    question: "Why focus on lived experiences?",
-                    answer: "To highlight how people personally experience and navigate digital access, not just the numbers."
-                }
-            ],
-            fellowshipProjects: [
-                {
-                    title: "Mankiri",
-                    description: "A campaign aiming to promote the visibility and foster solidarity and open discussion on mental health of peri and post menopausal women",
-                    status: "Completed",
-                    link: "https://www.instagram.com/mankiriprojectnepal/"
-                },
-                {
-                    title: "Shreejanshil",
-                    description: "A documentary journey into the daily struggles, hopes and change in the Dom community",
-                    status: "Completed",
-                    link: "https://www.instagram.com/shreejanshil/"
-                }
-            ]
+            translations[language] = await response.json();
+        } catch (error) {
+            console.warn(`Could not load ${language} translations, falling back to English:`, error);
         }
+    }));
+    
+    applyTranslations();
+}
+
+// Look up a UI string, filling {placeholders} from params
+function t(key, params = {}) {
+    const text = translations[currentLanguage]?.ui?.[key] ?? translations.en?.ui?.[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+// Devanagari numerals when the interface is in Nepali
+function localizeDigits(text) {
+    if (currentLanguage !== 'ne' || text === null || text === undefined) return text;
+    return String(text).replace(/[0-9]/g, digit => DEVANAGARI_DIGITS[digit]);
+}
+
+// Numbers use Nepali digit grouping (1,00,000) in both languages
+function formatNumber(value) {
+    return localizeDigits(Number(value).toLocaleString('en-IN'));
+}
+
+// Rupee amounts - "NPR 1,500" in English, "रु. १,५००" in Nepali
+function formatNPR(amount) {
+    return currentLanguage === 'ne' ? `रु. ${formatNumber(amount)}` : `NPR ${formatNumber(amount)}`;
+}
+
+// Dataset text writes amounts as "NPR 1,500" or "Rs. 2000"; run each through formatNPR
+function localizeAmounts(text) {
+    if (text === null || text === undefined) return text;
+    return localizeDigits(String(text).replace(/\b(?:NPR|Rs\.?)\s*([0-9][0-9,]*)/g, (match, amount) => formatNPR(amount.replace(/,/g, ''))));
+}
+
+// Escape text for HTML content and attributes (escapeXml is for the KML export)
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Overlay the current language's translation of a dataset record (location, participant, journey) on the original
+function localizeRecord(kind, record) {
+    const translation = record && translations[currentLanguage]?.content?.[kind]?.[record.id];
+    return translation ? mergeTranslation(record, translation) : record;
+}
+
+// Translated fields replace the originals; arrays (quotes, videos, stops) are matched by position
+function mergeTranslation(original, translation) {
+    if (Array.isArray(original) && Array.isArray(translation)) {
+        return original.map((item, i) => i < translation.length ? mergeTranslation(item, translation[i]) : item);
     }
-];
+    if (original && typeof original === 'object' && translation && typeof translation === 'object') {
+        const merged = { ...original };
+        Object.keys(translation).forEach(key => {
+            merged[key] = mergeTranslation(original[key], translation[key]);
+        });
+        return merged;
+    }
+    return translation;
+}
 
-// Community area stories from Nagarjun Municipality Ward 8
-const areaData = [
-    {
-        id: 1,
-        lat: 27.732,
-        lng: 85.240,
-        title: "Majuwa Community Area",
-        areaName: "Majuwa",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/majuwa_community.mp3",
-        communityType: "traditional_village",
-        digitalAccess: "mixed",
-        stats: {
-            households: "45 households",
-            internetCoverage: "78% coverage",
-            averageSpeed: "15-25 Mbps",
-            digitalLiteracy: "45% adults, 85% youth",
-            mainChallenges: "Infrastructure gaps, cost barriers"
-        },
-        story: {
-            quote: "\"We live between two worlds - our traditional village life and the digital age demanding connection.\"",
-            community_voice: "Majuwa represents the intersection of traditional Nepali village culture with modern digital demands. While younger generations adapt quickly, older community members struggle with the rapid technological changes.",
-            digital_divide: "The community shows stark contrasts - tech-savvy youth helping elderly neighbors access government services online, while traditional practices continue alongside smartphone usage.",
-            resident: "Community Leaders & Residents of Majuwa"
-        },
-        challenges: [
-            "Inconsistent internet connectivity during monsoon",
-            "High data costs relative to local incomes", 
-            "Limited digital literacy programs for seniors",
-            "Language barriers with English-only interfaces"
-        ]
-    },
-    {
-        id: 2,
-        lat: 27.728,
-        lng: 85.245,
-        title: "Thaple Community Area", 
-        areaName: "Thaple",
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_2mb.mp4",
-        audio: "audio/thaple_voices.mp3",
-        communityType: "mixed_residential",
-        digitalAccess: "moderate",
-        stats: {
-            households: "62 households",
-            internetCoverage: "82% coverage", 
-            averageSpeed: "20-40 Mbps",
-            digitalLiteracy: "58% adults, 90% youth",
-            mainChallenges: "Quality inconsistency, digital skills gap"
-        },
-        story: {
-            quote: "\"Every family has smartphones, but not every family knows how to use them for anything beyond calls and social media.\"",
-            community_voice: "Thaple has better infrastructure than neighboring areas but faces quality and reliability issues. The community is actively working on digital inclusion initiatives.",
-            digital_divide: "While most households have internet access, there's a significant divide in how effectively different demographics utilize digital services - from basic communication to accessing healthcare and education services online.",
-            resident: "Thaple Community Development Committee"
-        },
-        challenges: [
-            "Service interruptions affect home-based businesses",
-            "Lack of local technical support",
-            "Digital payment adoption slow among elderly",
-            "Online education challenges during COVID highlighted gaps"
-        ]
-    },
-    {
-        id: 3,
-        lat: 27.735,
-        lng: 85.238,
-        title: "Buspark Community Area",
-        areaName: "Buspark", 
-        video: "https://sample-videos.com/zip/10/mp4/SampleVideo_1280x720_1mb.mp4",
-        audio: "audio/buspark_interviews.mp3",
-        communityType: "commercial_residential",
-        digitalAccess: "high",
-        stats: {
-            households: "38 households + businesses",
-            internetCoverage: "95% coverage",
-            averageSpeed: "30-50 Mbps", 
-            digitalLiteracy: "72% adults, 95% youth",
-            mainChallenges: "Digital security, information overload"
-        },
-        story: {
-            quote: "\"Being near the bus park means we're connected to everything - roads, internet, opportunities, but also all the problems that come with connectivity.\"",
-            community_voice: "Buspark area benefits from commercial infrastructure with high-speed internet and digital services, but faces challenges of urban digital life including security concerns and information management.",
-            digital_divide: "The divide here isn't about access but about digital wellness and security. High connectivity brings cybersecurity risks, online fraud attempts, and the challenge of managing information overload.",
-            resident: "Local Business Owners & Residents"
-        },
-        challenges: [
-            "Cybersecurity threats and online fraud attempts",
-            "Information overload affecting productivity", 
-            "Privacy concerns with multiple digital services",
-            "Balancing screen time in families"
-        ]
+// A journey stop in the current language
+function localizeStop(journey, stop) {
+    return localizeRecord('journeys', journey).stops[journey.stops.indexOf(stop)];
+}
+
+// Translate every element tagged with data-i18n (text), data-i18n-placeholder or data-i18n-digits (numbers)
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-digits]').forEach(element => {
+        element.textContent = localizeDigits(element.dataset.i18nDigits);
+    });
+    
+    // The toggle is labelled in the language it switches to
+    document.getElementById('nav-language').lang = currentLanguage === 'en' ? 'ne' : 'en';
+}
+
+// Switch language and redraw whatever is on screen
+function setLanguage(language) {
+    currentLanguage = language;
+    localStorage.setItem('language', language);
+    applyTranslations();
+    invalidateSearchIndex();
+    
+    // Re-open the side panel in the new language
+    if (modal.classList.contains('show')) {
+        const activeNavButton = document.querySelector('.nav-btn.active');
+        if (currentPopupLocation) {
+            openLocationPopup(currentPopupLocation);
+        } else if (activeNavButton) {
+            activeNavButton.click();
+        }
     }
-];
+    
+    if (storyModeState.isActive) {
+        refreshCharacterBoxText();
+    }
+    if (document.getElementById('filter-panel').classList.contains('show')) {
+        renderFilterPanel();
+    }
+    if (document.getElementById('theme-explorer').classList.contains('show')) {
+        renderThemeExplorer();
+    }
+    updateTileNotice();
+    renderAdminBreadcrumb();
+    if (progressionActive) {
+        document.getElementById('current-story-theme').textContent = localizeRecord('journeys', journeys[currentMode]).theme;
+        updateProgressDisplay();
+    }
+}
 
 // Custom house icons based on digital access level
 const getLocationIcon = (accessLevel) => {
@@ -839,351 +840,377 @@ const getLocationIcon = (accessLevel) => {
     });
 };
 
-// Area data kept for reference (not used for markers, but for future community information)
-
 // Store markers but don't add them immediately
 let houseMarkers = [];
 let foundationLabel = null;
 let foundationHouse = null;
 
-houseData.forEach(house => {
-    const marker = L.marker([house.lat, house.lng], { icon: getLocationIcon(house.digitalAccess) })
-        .on('click', () => openPopup(house));
-    houseMarkers.push(marker);
-    
-    // Add hover interactions for manual exploration
-    marker.on('mouseover', function(e) {
-        if (house.story?.resident) {
-            showHoverPreview(house.story.resident, e.originalEvent);
-        }
-    });
-    
-    marker.on('mouseout', function() {
-        hideHoverPreview();
-    });
-    
-    // Store reference for highlighting system (only non-foundation houses)
-    if (!house.isFoundation) {
-        markerReferences.houses.push(marker);
-    }
-    
-    // Create label for foundation marker
-    if (house.isFoundation) {
-        foundationHouse = house; // Store reference to foundation house data
-        foundationLabel = L.marker([house.lat - 0.001, house.lng], {
-            icon: L.divIcon({
-                html: '<div class="foundation-label">All In Foundation</div>',
-                className: 'foundation-label-container',
-                iconSize: [140, 28],
-                iconAnchor: [70, 14]
-            })
-        }).on('click', () => openPopup(foundationHouse));
-    }
-});
-
-// Community area circles (oval overlays with center + radius)
-let thapleCircle = null;
-let busparkCircle = null; 
-let wardOfficeCircle = null;
-let majuwaCircle = null;
+// Marker for each story location, keyed by dataset id (used by the story editor)
+const storyMarkers = {};
 
-// Area text labels
-let areaLabels = [];
-let wardOfficeMarker = null;
-let schoolMarker = null;
-let khajagharMarkers = [];
-let streetInterviewMarkers = [];
-let shopMarker = null;
+function registerStoryMarker(location, marker) {
+    storyMarkers[location.id] = marker;
+    // Cluster icons read the access level straight off their child markers
+    marker.options.digitalAccess = location.digitalAccess;
+}
 
-// Create area circular overlays
-function createAreaBoundaries() {
-    // Thaple: blue theme, 400m radius
-    thapleCircle = L.circle([27.738486, 85.235668], {
-        color: '#2563eb',
-        weight: 3,
-        opacity: 0,
-        fillColor: '#3b82f6',
-        fillOpacity: 0,
-        radius: 400,
-        className: 'thaple-highlight'
-    }).addTo(map);
-    
-    // Bhimdhunga Buspark: orange theme, 350m radius
-    busparkCircle = L.circle([27.729622, 85.236152], {
-        color: '#ea580c',
-        weight: 3,
-        opacity: 0,
-        fillColor: '#f97316',
-        fillOpacity: 0,
-        radius: 350,
-        className: 'buspark-highlight'
-    }).addTo(map);
-    
-    // Ward Office: purple theme, 50m radius (reduced)
-    wardOfficeCircle = L.circle([27.732760, 85.233694], {
-        color: '#7c3aed',
-        weight: 3,
-        opacity: 0,
-        fillColor: '#8b5cf6',
-        fillOpacity: 0,
-        radius: 50,
-        className: 'wardoffice-highlight'
-    }).addTo(map);
-    
-    // Majuwa: green theme, 250m radius
-    majuwaCircle = L.circle([27.725122, 85.226066], {
-        color: '#16a34a',
-        weight: 3,
-        opacity: 0,
-        fillColor: '#22c55e',
-        fillOpacity: 0,
-        radius: 250,
-        className: 'majuwa-highlight'
-    }).addTo(map);
-    
-    // Add text labels for all areas
-    createAreaLabels();
-    
-    // Create government building icon for Ward Office
-    createWardOfficeMarker();
-    
-    // Create school icon
-    createSchoolMarker();
-    
-    // Create khajaghar (tea shop) markers
-    createKhajagharMarkers();
-    
-    // Create street interview markers
-    createStreetInterviewMarkers();
-    
-    // Create shop marker
-    createShopMarker();
-}
+// Access colours shared by canvas house markers and the cluster ring (same as getLocationIcon)
+const ACCESS_COLORS = {
+    high: '#22c55e',
+    medium: '#fbbf24',
+    low: '#ef4444'
+};
+const UNKNOWN_ACCESS_COLOR = '#6b7280';
+
+// Above this many households the animated DOM house icons are swapped for canvas circles
+const CANVAS_MARKER_THRESHOLD = 100;
+const storyCanvasRenderer = L.canvas({ padding: 0.5 });
+
+// Clusters bigger than this zoom in on click instead of spiderfying into an unreadable ring
+const SPIDERFY_MAX_CHILDREN = 30;
+
+// Every story marker (houses, khajaghar, interviews, shop, school, ward office) shares one cluster group
+const storyClusterGroup = L.markerClusterGroup({
+    zoomToBoundsOnClick: false,
+    spiderfyOnMaxZoom: true,
+    showCoverageOnHover: false,
+    maxClusterRadius: 50,
+    iconCreateFunction: createStoryClusterIcon
+}).addTo(map);
 
-// Create text labels for areas
-function createAreaLabels() {
-    const labelStyle = {
-        permanent: true,
-        direction: 'center',
-        className: 'area-label'
-    };
-    
-    // Thaple label
-    const thapleLabel = L.marker([27.738486, 85.235668], {
-        icon: L.divIcon({
-            html: '<div class="area-text-label">Thaple</div>',
-            className: 'area-label-container',
-            iconSize: [60, 20],
-            iconAnchor: [30, 10]
-        })
-    }).addTo(map);
-    areaLabels.push(thapleLabel);
-    
-    // Buspark label
-    const busparkLabel = L.marker([27.729622, 85.236152], {
-        icon: L.divIcon({
-            html: '<div class="area-text-label">Buspark</div>',
-            className: 'area-label-container',
-            iconSize: [60, 20],
-            iconAnchor: [30, 10]
-        })
-    }).addTo(map);
-    areaLabels.push(busparkLabel);
-    
-    // Majuwa label
-    const majuwaLabel = L.marker([27.725122, 85.226066], {
-        icon: L.divIcon({
-            html: '<div class="area-text-label">Majuwa</div>',
-            className: 'area-label-container',
-            iconSize: [60, 20],
-            iconAnchor: [30, 10]
-        })
-    }).addTo(map);
-    areaLabels.push(majuwaLabel);
-    
-    // Ward Office label (positioned slightly above the building icon)
-    const wardLabel = L.marker([27.732760, 85.233714], {
-        icon: L.divIcon({
-            html: '<div class="area-text-label ward-label">Ward Office</div>',
-            className: 'area-label-container',
-            iconSize: [80, 20],
-            iconAnchor: [40, 10]
-        })
-    }).addTo(map);
-    areaLabels.push(wardLabel);
-}
-
-// Create government building marker for Ward Office
-function createWardOfficeMarker() {
-    wardOfficeMarker = L.marker([27.732760, 85.233694], {
-        icon: L.divIcon({
-            html: `
-                <div class="government-building-icon">
-                    <div class="building-base"></div>
-                    <div class="building-pillars">
-                        <div class="pillar"></div>
-                        <div class="pillar"></div>
-                        <div class="pillar"></div>
-                    </div>
-                    <div class="building-roof"></div>
-                </div>
-            `,
-            className: 'ward-office-marker',
-            iconSize: [40, 40],
-            iconAnchor: [20, 35]
-        })
-    }).on('click', () => openWardOfficePopup()).addTo(map);
-}
-
-// Create school marker
-function createSchoolMarker() {
-    schoolMarker = L.marker([27.724667, 85.228028], {
-        icon: L.divIcon({
-            html: `
-                <div class="school-icon">
-                    <div class="school-symbol">🎓</div>
-                    <div class="school-base">
-                        <div class="school-text">School</div>
-                    </div>
-                </div>
-            `,
-            className: 'school-marker',
-            iconSize: [50, 45],
-            iconAnchor: [25, 40]
-        })
-    }).on('click', () => openSchoolPopup()).addTo(map);
-    
-    // Add hover interactions for manual exploration
-    schoolMarker.on('mouseover', function(e) {
-        showHoverPreviewWithAge("Principal", "52", e.originalEvent);
+storyClusterGroup.on('clusterclick', (e) => {
+    const cluster = e.layer;
+    if (cluster.getChildCount() <= SPIDERFY_MAX_CHILDREN || map.getZoom() >= map.getMaxZoom()) {
+        cluster.spiderfy();
+    } else {
+        cluster.zoomToBounds({ padding: [40, 40] });
+    }
+});
+
+// Function to draw a cluster icon: the story count inside a ring split by access level
+function createStoryClusterIcon(cluster) {
+    const markers = cluster.getAllChildMarkers();
+    const counts = { high: 0, medium: 0, low: 0, other: 0 };
+    markers.forEach(marker => {
+        const level = marker.options.digitalAccess;
+        counts[level in ACCESS_COLORS ? level : 'other']++;
     });
-    
-    schoolMarker.on('mouseout', function() {
-        hideHoverPreview();
+
+    // Conic gradient segments in legend order: high, medium, low, then anything unrecorded
+    let angle = 0;
+    const segments = Object.keys(counts).filter(level => counts[level]).map(level => {
+        const start = angle;
+        angle += counts[level] / markers.length * 360;
+        return `${ACCESS_COLORS[level] || UNKNOWN_ACCESS_COLOR} ${start}deg ${angle}deg`;
+    });
+
+    const breakdown = Object.keys(counts).filter(level => counts[level]).map(level => {
+        const label = level === 'other' ? t('filter.access.unknown') : t(`access.${level}`);
+        return `${label}: ${formatNumber(counts[level])}`;
+    }).join('\n');
+
+    // A ring of one colour is just a solid fill
+    const ring = segments.length > 1 ? `conic-gradient(${segments.join(', ')})` : (ACCESS_COLORS[Object.keys(counts).find(level => counts[level])] || UNKNOWN_ACCESS_COLOR);
+
+    // A highlighted marker inside the cluster lights up the cluster until it splits
+    const highlights = [...new Set(markers.flatMap(marker => marker.options.highlights || []))];
+
+    const size = markers.length < 10 ? 36 : markers.length < 100 ? 44 : 52;
+    return L.divIcon({
+        html: `
+            <div class="story-cluster-ring" style="background: ${ring};"
+                 title="${t('cluster.title', { count: formatNumber(markers.length) })}\n${breakdown}">
+                <span class="story-cluster-count">${formatNumber(markers.length)}</span>
+            </div>
+        `,
+        className: ['story-cluster', ...highlights].join(' '),
+        iconSize: [size, size]
     });
-    
-    // Store reference for highlighting system
-    markerReferences.school = schoolMarker;
 }
 
-// Create khajaghar (tea shop) markers
-function createKhajagharMarkers() {
-    // Khajaghar locations (positioned around the community areas)
-    const khajagharLocations = [
-        {
-            lat: 27.724592,
-            lng: 85.224491,
-            name: "Majuwa Khajaghar",
-            participant: "Sunita Tamang",
-            age: "45"
-        },
-        {
-            lat: 27.739199,
-            lng: 85.236208,
-            name: "Thaple Khajaghar",
-            participant: "Aman Tamang",
-            age: "17"
-        }
-    ];
-    
-    khajagharLocations.forEach((location, index) => {
-        const khajagharMarker = L.marker([location.lat, location.lng], {
-            icon: L.divIcon({
-                html: `<i class="fa-solid fa-mug-hot fa-bounce" style="color: #dc2626; font-size: 20px;"></i>`,
-                iconSize: [25, 25],
-                className: 'khajaghar-marker',
-                iconAnchor: [12.5, 20]
-            })
-        }).on('click', () => openKhajagharPopup(location)).addTo(map);
+// Story markers go into the cluster group, except in the editor where they must stay draggable
+function getStoryMarkerLayer() {
+    return storyEditorEnabled ? map : storyClusterGroup;
+}
+
+function addStoryMarker(marker) {
+    getStoryMarkerLayer().addLayer(marker);
+}
+
+function removeStoryMarker(marker) {
+    getStoryMarkerLayer().removeLayer(marker);
+}
+
+function hasStoryMarker(marker) {
+    return getStoryMarkerLayer().hasLayer(marker);
+}
+
+// Canvas circle for a household - used instead of getLocationIcon once the survey gets large
+function createCanvasHouseMarker(house) {
+    const color = ACCESS_COLORS[house.digitalAccess] || UNKNOWN_ACCESS_COLOR;
+    return L.circleMarker([house.lat, house.lng], {
+        renderer: storyCanvasRenderer,
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: color,
+        fillOpacity: 0.9
+    });
+}
+
+// Create house and foundation markers from the loaded story dataset
+function createHouseMarkers() {
+    // The editor keeps DOM markers because canvas circles can't be dragged
+    const useCanvas = houseData.length > CANVAS_MARKER_THRESHOLD && !storyEditorEnabled;
+    
+    houseData.forEach(house => {
+        const marker = (useCanvas && !house.isFoundation
+            ? createCanvasHouseMarker(house)
+            : L.marker([house.lat, house.lng], { icon: getLocationIcon(house.digitalAccess) }))
+            .on('click', () => openLocationPopup(house));
+        houseMarkers.push(marker);
+        registerStoryMarker(house, marker);
         
         // Add hover interactions for manual exploration
-        khajagharMarker.on('mouseover', function(e) {
-            if (location.participant) {
-                showHoverPreviewWithAge(location.participant, location.age, e.originalEvent);
+        marker.on('mouseover', function(e) {
+            if (house.participantId) {
+                showHoverPreview(house.participantId, e.originalEvent);
             }
         });
         
-        khajagharMarker.on('mouseout', function() {
+        marker.on('mouseout', function() {
             hideHoverPreview();
         });
         
-        khajagharMarkers.push(khajagharMarker);
+        // Store reference for highlighting system (only non-foundation houses)
+        if (!house.isFoundation) {
+            markerReferences.houses.push(marker);
+        }
         
-        // Store reference for highlighting system with location name
-        khajagharMarker.options.title = location.name;
-        markerReferences.khajaghar.push(khajagharMarker);
+        // Create label for foundation marker
+        if (house.isFoundation) {
+            foundationHouse = house; // Store reference to foundation house data
+            foundationLabel = L.marker([house.lat - 0.001, house.lng], {
+                icon: L.divIcon({
+                    html: '<div class="foundation-label">All In Foundation</div>',
+                    className: 'foundation-label-container',
+                    iconSize: [140, 28],
+                    iconAnchor: [70, 14]
+                })
+            }).on('click', () => openLocationPopup(foundationHouse));
+        }
     });
 }
 
-// Create street interview markers
-function createStreetInterviewMarkers() {
-    // Street interview locations
-    const interviewLocations = [
-        {
-            lat: 27.731906,
-            lng: 85.236138,
-            name: "Street Interview ",
-            interviewType: "cliff farmer",
-            participant: "Samjhana Lama",
-            age: "28"
-        },
-        {
-            lat: 27.737444,
-            lng: 85.233972,
-            name: "Street Interview 2", 
-            interviewType: "student",
-            participant: "Bijaya Tamang",
-            age: "17"
-        },
-        {
-            lat: 27.726670,
-            lng: 85.224680,
-            name: "Street Interview 3",
-            interviewType: "neighborhood",
-            participant: "Maili Tamang",
-            age: "58"
+// Community area (tole) boundaries - polygons in data/areas.geojson, drawn by createAreaBoundaries
+const AREA_BOUNDARIES_URL = 'data/areas.geojson';
+
+// Toles a story can belong to; the ward office outline only marks the building
+const STORY_AREA_IDS = ['majuwa', 'thaple', 'buspark'];
+
+let areaBoundaries = [];
+let areaLayers = [];
+
+// Area text labels
+let areaLabels = [];
+
+// Load the area polygons; stories fall back to 'other' if they are missing
+async function loadAreaBoundaries() {
+    try {
+        const response = await fetch(AREA_BOUNDARIES_URL);
+        if (!response.ok) {
+            throw new Error(`Area boundaries fetch failed: ${response.status}`);
         }
-    ];
+        areaBoundaries = (await response.json()).features;
+        invalidateSearchIndex();
+        console.log(`Loaded ${areaBoundaries.length} area boundaries`);
+    } catch (error) {
+        console.error('Error loading area boundaries, areas will not be drawn:', error);
+    }
+}
+
+// Create area polygon overlays (hidden until startAreaHighlighting styles them)
+function createAreaBoundaries() {
+    areaLayers = areaBoundaries.map(feature => ({
+        id: feature.properties.id,
+        name: feature.properties.name,
+        feature,
+        layer: L.geoJSON(feature, {
+            style: {
+                color: feature.properties.color,
+                weight: 3,
+                opacity: 0,
+                fillColor: feature.properties.fillColor,
+                fillOpacity: 0,
+                className: `${feature.properties.id.replace(/-/g, '')}-highlight`
+            }
+        }).addTo(map)
+    }));
+    
+    // Add text labels for all areas
+    createAreaLabels();
     
-    interviewLocations.forEach((location, index) => {
-        const interviewMarker = L.marker([location.lat, location.lng], {
+    // Ward office, school, khajaghar, street interview and shop markers
+    createPlaceMarkers();
+}
+
+// Centre of an area outline, used for its label and when flying to it
+function getAreaCenter(area) {
+    return area.layer.getBounds().getCenter();
+}
+
+// Centre of an area by dataset id - the outlines are the only source of area positions, so this is
+// null when data/areas.geojson failed to load
+function getAreaCenterById(areaId) {
+    const feature = areaBoundaries.find(f => f.properties.id === areaId);
+    return feature ? L.geoJSON(feature).getBounds().getCenter() : null;
+}
+
+// Ray casting test for one ring of [lng, lat] points
+function pointInRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Point-in-polygon for a GeoJSON Polygon or MultiPolygon feature (holes excluded)
+function featureContains(feature, lat, lng) {
+    const geometry = feature.geometry;
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outer, ...holes]) =>
+        pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole)));
+}
+
+// Tole a point falls in, or null outside all of them
+function getAreaAt(lat, lng) {
+    const area = areaBoundaries.find(feature =>
+        STORY_AREA_IDS.includes(feature.properties.id) && featureContains(feature, lat, lng));
+    return area ? area.properties.id : null;
+}
+
+// Stories (every location except the foundation) assigned to an area
+function countAreaStories(areaId) {
+    return storyLocations.filter(location => !location.isFoundation && getLocationArea(location) === areaId).length;
+}
+
+// Create text labels for areas, centred on each outline
+function createAreaLabels() {
+    areaLayers.forEach(area => {
+        const labelClass = area.feature.properties.labelClass || '';
+        const width = labelClass ? 80 : 60;
+        const label = L.marker(getAreaCenter(area), {
             icon: L.divIcon({
-                html: `<i class="fa-solid fa-comments fa-beat" style="color: #6366f1; font-size: 18px;"></i>`,
-                iconSize: [22, 22],
-                className: 'interview-marker',
-                iconAnchor: [11, 18]
+                html: `<div class="area-text-label ${labelClass}">${area.name}</div>`,
+                className: 'area-label-container',
+                iconSize: [width, 20],
+                iconAnchor: [width / 2, 10]
             })
-        }).on('click', () => openStreetInterviewPopup(location)).addTo(map);
-        
-        // Add hover interactions for manual exploration
-        interviewMarker.on('mouseover', function(e) {
-            if (location.participant) {
-                showHoverPreviewWithAge(location.participant, location.age, e.originalEvent);
-            }
-        });
-        
-        interviewMarker.on('mouseout', function() {
-            hideHoverPreview();
-        });
-        
-        streetInterviewMarkers.push(interviewMarker);
-        
-        // Store reference for highlighting system with location name
-        interviewMarker.options.title = location.name;
-        markerReferences.streetInterviews.push(interviewMarker);
+        }).addTo(map);
+        areaLabels.push(label);
     });
 }
 
-// Create shop marker
-function createShopMarker() {
-    shopMarker = L.marker([27.729750, 85.236056], {
-        icon: L.divIcon({
-            html: `<i class="fa-solid fa-shop" style="color: #ea580c; font-size: 20px;"></i>`,
-            iconSize: [25, 25],
-            className: 'shop-marker',
-            iconAnchor: [12.5, 20]
-        })
-    }).on('click', () => openShopPopup()).addTo(map);
+// Marker icons for every non-house location type; a type missing here gets the default pin,
+// so a new type needs an entry at most, never a new function
+const LOCATION_TYPE_ICONS = {
+    ward_office: {
+        html: `
+            <div class="government-building-icon">
+                <div class="building-base"></div>
+                <div class="building-pillars">
+                    <div class="pillar"></div>
+                    <div class="pillar"></div>
+                    <div class="pillar"></div>
+                </div>
+                <div class="building-roof"></div>
+            </div>
+        `,
+        className: 'ward-office-marker',
+        iconSize: [40, 40],
+        iconAnchor: [20, 35]
+    },
+    school: {
+        html: `
+            <div class="school-icon">
+                <div class="school-symbol">🎓</div>
+                <div class="school-base">
+                    <div class="school-text">School</div>
+                </div>
+            </div>
+        `,
+        className: 'school-marker',
+        iconSize: [50, 45],
+        iconAnchor: [25, 40]
+    },
+    khajaghar: {
+        html: `<i class="fa-solid fa-mug-hot fa-bounce" style="color: #dc2626; font-size: 20px;"></i>`,
+        className: 'khajaghar-marker',
+        iconSize: [25, 25],
+        iconAnchor: [12.5, 20]
+    },
+    street_interview: {
+        html: `<i class="fa-solid fa-comments fa-beat" style="color: #6366f1; font-size: 18px;"></i>`,
+        className: 'interview-marker',
+        iconSize: [22, 22],
+        iconAnchor: [11, 18]
+    },
+    shop: {
+        html: `<i class="fa-solid fa-shop" style="color: #ea580c; font-size: 20px;"></i>`,
+        className: 'shop-marker',
+        iconSize: [25, 25],
+        iconAnchor: [12.5, 20]
+    }
+};
+
+const DEFAULT_LOCATION_TYPE_ICON = {
+    html: `<i class="fa-solid fa-location-dot" style="color: #475569; font-size: 22px;"></i>`,
+    className: 'location-marker',
+    iconSize: [22, 22],
+    iconAnchor: [11, 20]
+};
+
+// Houses and the foundation show their access level; every other type its own symbol
+function getStoryLocationIcon(location) {
+    if (location.type === 'house' || location.type === 'foundation') {
+        return getLocationIcon(location.digitalAccess);
+    }
+    return L.divIcon(LOCATION_TYPE_ICONS[location.type] || DEFAULT_LOCATION_TYPE_ICON);
+}
+
+// Marker for one non-house story location, with its panel and hover preview wired up
+function createStoryLocationMarker(location) {
+    const marker = L.marker([location.lat, location.lng], {
+        icon: getStoryLocationIcon(location),
+        title: location.title
+    }).on('click', () => openLocationPopup(location));
+    
+    // Add hover interactions for manual exploration
+    marker.on('mouseover', function(e) {
+        if (location.participantId) {
+            showHoverPreview(location.participantId, e.originalEvent);
+        }
+    });
+    
+    marker.on('mouseout', function() {
+        hideHoverPreview();
+    });
+    
+    registerStoryMarker(location, marker);
+    addStoryMarker(marker);
+    return marker;
+}
+
+// Create markers for every story location that is not a house (ward office, school, khajaghar, ...)
+function createPlaceMarkers() {
+    storyLocations
+        .filter(location => location.type !== 'house' && location.type !== 'foundation')
+        .forEach(createStoryLocationMarker);
 }
 
 // Enhanced cinematic sequence with user interaction
@@ -1269,12 +1296,15 @@ async function startVideoSequence() {
         videoOverlay.classList.add('video-fade-out');
         cinematicVideo.pause();
         
-        setTimeout(() => {
+        setTimeout(async () => {
             videoOverlay.style.display = 'none';
             videoOverlay.classList.remove('video-fade-in', 'video-fade-out');
             
-            // Set map to Nagarjun Municipality Ward 8 center
-            map.setView([27.733, 85.240], 15);
+            // Fly Nepal -> Bagmati -> Nagarjun -> Ward 8 (ends on the Ward 8 view)
+            await playCinematicZoom();
+            
+            // Story markers are built from the dataset, so make sure it has arrived
+            await storyDatasetReady;
             
             // Create area boundaries
             createAreaBoundaries();
@@ -1289,92 +1319,481 @@ async function startVideoSequence() {
             
         }, 500);
     }
+}
+
+// ==========================================
+// CINEMATIC ZOOM (Nepal -> Bagmati -> Nagarjun -> Ward 8)
+// ==========================================
+
+// Resolves once loadGeographicBoundaries has finished (or given up)
+let boundariesReady = Promise.resolve();
+
+// The study area view every path onto the map ends on
+const WARD_8_VIEW = { center: [27.733, 85.240], zoom: 15 };
+
+// Rough box around Ward 8 (the same box tools/validate-stories.js checks story coordinates against)
+const WARD_8_BOUNDS = L.latLngBounds([27.715, 85.215], [27.750, 85.255]);
+
+// How long the zoom waits for slow boundary downloads before flying with what it has
+const BOUNDARY_WAIT_MS = 6000;
+
+// One stage per level of the hierarchy; levels whose polygon failed to load are skipped
+const CINEMATIC_LEVELS = [
+    { key: 'nepal', getLayer: () => nepalPolygon, color: '#34d399', duration: 2 },
+    { key: 'bagmati', getLayer: () => bagmatiPolygon, color: '#60a5fa', duration: 2.5 },
+    { key: 'nagarjun', getLayer: () => nagarjunPolygon, color: '#fbbf24', duration: 2.5 }
+];
+const CINEMATIC_HOLD_MS = 2500;
+
+let cinematicSkipped = false;
+let cinematicSkipHandlers = [];
+
+// Wait that ends early when the user skips
+function cinematicWait(milliseconds) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, milliseconds);
+        cinematicSkipHandlers.push(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
+
+function skipCinematicZoom() {
+    cinematicSkipped = true;
+    map.stop();
+    cinematicSkipHandlers.forEach(handler => handler());
+    cinematicSkipHandlers = [];
+}
+
+// Fly to a layer's bounds and resolve when the flight lands (or is skipped)
+function flyToLayer(layer, duration) {
+    return new Promise(resolve => {
+        // Registered before flyTo - short hops can fire moveend straight away
+        map.once('moveend', resolve);
+        cinematicSkipHandlers.push(resolve);
+        map.flyToBounds(layer.getBounds(), { duration, padding: [40, 40] });
+    });
+}
+
+// Fade a boundary polygon in over about a second
+function fadeInBoundary(layer, color) {
+    let step = 0;
+    const applyStep = () => layer.setStyle({ color, opacity: 0.9 * step / 10, fillColor: color, fillOpacity: 0.15 * step / 10 });
+    const fade = setInterval(() => {
+        step++;
+        applyStep();
+        if (step >= 10) clearInterval(fade);
+    }, 100);
     
-    // Load all Nagarjun areas at once - no dramatic sequence
-    function startAreaHighlighting() {
-        // Show all areas immediately with subtle highlighting
-        if (thapleCircle) {
-            thapleCircle.setStyle({
-                color: '#2563eb',
-                weight: 2,
-                opacity: 0.7,
-                fillColor: '#3b82f6',
-                fillOpacity: 0.15
-            });
-        }
-        
-        if (busparkCircle) {
-            busparkCircle.setStyle({
-                color: '#ea580c',
-                weight: 2,
-                opacity: 0.7,
-                fillColor: '#f97316',
-                fillOpacity: 0.15
-            });
-        }
+    // Skipping stops the fade on the finished outline, before the intro's cleanup restyles it
+    cinematicSkipHandlers.push(() => {
+        clearInterval(fade);
+        step = 10;
+        applyStep();
+    });
+}
+
+function showCinematicCaption(key) {
+    document.getElementById('cinematic-zoom-title').textContent = t(`cinematic.${key}.title`);
+    document.getElementById('cinematic-zoom-text').textContent = t(`cinematic.${key}.text`);
+    const caption = document.querySelector('.cinematic-zoom-caption');
+    caption.classList.remove('show');
+    // Restart the caption animation for each level
+    void caption.offsetWidth;
+    caption.classList.add('show');
+}
+
+// Staged zoom through the administrative hierarchy, ending on Ward 8
+async function playCinematicZoom() {
+    const overlay = document.getElementById('cinematic-zoom');
+    cinematicSkipped = false;
+    cinematicSkipHandlers = [];
+    
+    // Respect reduced-motion settings - straight to the map
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        map.setView(WARD_8_VIEW.center, WARD_8_VIEW.zoom);
+        return;
+    }
+    
+    overlay.style.display = 'block';
+    document.getElementById('cinematic-zoom-skip').onclick = skipCinematicZoom;
+    
+    // Boundaries load in the background during the intro; give stragglers a moment
+    await Promise.race([boundariesReady, cinematicWait(BOUNDARY_WAIT_MS)]);
+    
+    let previous = null;
+    for (const level of CINEMATIC_LEVELS) {
+        if (cinematicSkipped) break;
         
-        if (wardOfficeCircle) {
-            wardOfficeCircle.setStyle({
-                color: '#7c3aed',
-                weight: 2,
-                opacity: 0.7,
-                fillColor: '#8b5cf6',
-                fillOpacity: 0.15
-            });
+        const layer = level.getLayer();
+        if (!layer || !layer.getBounds().isValid()) {
+            console.warn(`Cinematic zoom: no ${level.key} boundary loaded, skipping that level`);
+            continue;
         }
         
-        if (majuwaCircle) {
-            majuwaCircle.setStyle({
-                color: '#16a34a',
-                weight: 2,
-                opacity: 0.7,
-                fillColor: '#22c55e',
-                fillOpacity: 0.15
-            });
-        }
+        showCinematicCaption(level.key);
+        await flyToLayer(layer, level.duration);
+        if (cinematicSkipped) break;
         
-        // Add house markers immediately after areas load
-        setTimeout(() => {
-            houseMarkers.forEach((marker, index) => {
-                setTimeout(() => {
-                    marker.addTo(map);
-                    const element = marker.getElement();
-                    if (element) {
-                        element.style.animation = 'markerDrop 0.6s ease-out';
-                    }
-                }, index * 200);
-            });
-            
-            // Add foundation label if it exists
-            if (foundationLabel) {
-                setTimeout(() => {
-                    foundationLabel.addTo(map);
-                }, houseMarkers.length * 200 + 200);
+        // The level we came from keeps its outline but loses its fill
+        if (previous) previous.setStyle({ fillOpacity: 0 });
+        fadeInBoundary(layer, level.color);
+        previous = layer;
+        await cinematicWait(CINEMATIC_HOLD_MS);
+    }
+    
+    if (!cinematicSkipped) {
+        showCinematicCaption('ward8');
+        await new Promise(resolve => {
+            map.once('moveend', resolve);
+            cinematicSkipHandlers.push(resolve);
+            map.flyTo(WARD_8_VIEW.center, WARD_8_VIEW.zoom, { duration: 2.5 });
+        });
+        await cinematicWait(CINEMATIC_HOLD_MS);
+    }
+    
+    map.setView(WARD_8_VIEW.center, WARD_8_VIEW.zoom, { animate: false });
+    if (previous) previous.setStyle({ fillOpacity: 0 });
+    cinematicSkipHandlers = [];
+    overlay.style.display = 'none';
+}
+
+// ==========================================
+// ADMINISTRATIVE DRILL-DOWN (province -> district -> municipality -> ward)
+// ==========================================
+
+const ADMIN_LEVELS = ['province', 'district', 'municipality', 'ward'];
+
+// Ward outlines by municipality (matched against the municipality name) - add a file here to open one up.
+// None are bundled yet: nepal-geojson stops at municipalities (see the wards entry in data/boundaries/sources.json).
+const ADMIN_WARD_FILES = {};
+
+// [{ level, feature }] from the province down to the current selection; null while not exploring
+let adminPath = null;
+let adminLayer = null;
+// Message under the breadcrumb, as a function so it follows language changes
+let adminNote = null;
+// Bumped by every draw; a draw whose data arrives after a newer click has started is dropped
+let adminRenderToken = 0;
+const adminDataCache = {};
+const adminInteriorPoints = new WeakMap();
+
+// First of the URLs that answers with GeoJSON
+async function fetchFirstGeoJSON(urls) {
+    for (const url of urls) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return await response.json();
             }
-        }, 500);
+        } catch (error) {
+            console.warn(`Failed to load ${url}:`, error);
+        }
     }
+    return null;
 }
 
-// Complete cinematic sequence on page load
-window.addEventListener('load', async () => {
-    const splashScreen = document.getElementById('splash-screen');
-    const statsOverlay = document.getElementById('national-stats-overlay');
-    const videoOverlay = document.getElementById('cinematic-video-overlay');
+// Every feature of a level (wards only for the municipality given)
+async function loadAdminFeatures(level, parent) {
+    if (level === 'province') {
+        const provinces = (nepalBoundaryData?.features || []).filter(isPolygonFeature);
+        // A single feature is a plain country outline - no provinces to drill into
+        return provinces.length > 1 ? provinces : [];
+    }
     
-    // Initially hide overlays until we're ready
-    statsOverlay.style.display = 'none';
-    videoOverlay.style.display = 'none';
+    let urls;
+    if (level === 'district') {
+        urls = BOUNDARY_GEOJSON_URLS.districts;
+    } else if (level === 'municipality') {
+        // Bundled files are split per district; the upstream refresh sources cover the whole country
+        const district = parent.feature.properties.DIST_NAME || parent.feature.properties.TARGET;
+        if (boundaryRefreshEnabled) {
+            urls = BOUNDARY_GEOJSON_URLS.municipalities;
+        } else if (district) {
+            urls = [`${BUNDLED_MUNICIPALITY_DIR}/${String(district).toLowerCase()}.geojson`];
+        } else {
+            return [];
+        }
+    } else {
+        const name = getAdminEnglishName(parent.feature).toLowerCase();
+        const key = Object.keys(ADMIN_WARD_FILES).find(key => name.includes(key));
+        if (!key) return [];
+        urls = [ADMIN_WARD_FILES[key]];
+    }
     
-    // Load geographic boundaries in background (don't wait for it)
-    console.log('Starting boundary loading in background...');
-    loadGeographicBoundaries().catch(error => {
-        console.warn('Boundary loading failed, continuing without boundaries:', error);
-    });
+    const cacheKey = urls.join('|');
+    if (!(cacheKey in adminDataCache)) {
+        const data = await fetchFirstGeoJSON(urls);
+        adminDataCache[cacheKey] = (data?.features || []).filter(isPolygonFeature);
+    }
+    return adminDataCache[cacheKey];
+}
+
+// A point inside a feature: the middle of the widest span across its largest ring at mid-latitude.
+// Used to place a district or municipality in its parent, since upstream files name parent fields differently.
+function getInteriorPoint(feature) {
+    if (adminInteriorPoints.has(feature)) {
+        return adminInteriorPoints.get(feature);
+    }
     
-    // Phase 1: Show ALIN splash screen for 4 seconds
-    console.log('Starting splash screen sequence...');
-    setTimeout(() => {
-        console.log('Phase 1: Fading out splash screen...');
+    const geometry = feature.geometry;
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const ring = polygons.map(polygon => polygon[0]).reduce((largest, outer) => outer.length > largest.length ? outer : largest);
+    const south = ring.reduce((min, coord) => Math.min(min, coord[1]), 90);
+    const north = ring.reduce((max, coord) => Math.max(max, coord[1]), -90);
+    const lat = (south + north) / 2;
+    
+    const crossings = [];
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat)) {
+            crossings.push((xj - xi) * (lat - yi) / (yj - yi) + xi);
+        }
+    }
+    crossings.sort((a, b) => a - b);
+    
+    let point = { lat: ring[0][1], lng: ring[0][0] };
+    let widest = 0;
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+        if (crossings[k + 1] - crossings[k] > widest) {
+            widest = crossings[k + 1] - crossings[k];
+            point = { lat, lng: (crossings[k] + crossings[k + 1]) / 2 };
+        }
+    }
+    adminInteriorPoints.set(feature, point);
+    return point;
+}
+
+// Features of a level inside the selected parent
+async function getAdminChildren(level, parent) {
+    const features = await loadAdminFeatures(level, parent);
+    if (!parent) return features;
+    return features.filter(feature => {
+        const point = getInteriorPoint(feature);
+        return featureContains(parent.feature, point.lat, point.lng);
+    });
+}
+
+// Districts split in 2015 carry their province number in nepal-geojson
+const ADMIN_DISTRICT_NAMES = {
+    NAWALPARASI4: 'Nawalparasi East',
+    NAWALPARASI5: 'Nawalparasi West',
+    RUKUM5: 'Rukum East',
+    RUKUM6: 'Rukum West'
+};
+
+// English name from whichever field the source uses (nepal-geojson: DIST_NAME or TARGET, FIRST_GaPa)
+function getAdminEnglishName(feature) {
+    const props = feature.properties || {};
+    let name = String(props.FIRST_GaPa || props.DIST_NAME || props.TARGET || props.NAME || props.name || props.ADM1_EN ||
+        props.PROVINCE || props.Province || props.WARD || props.ward || '');
+    name = ADMIN_DISTRICT_NAMES[name] || name;
+    // nepal-geojson district names are upper case
+    return /^[A-Z\s-]+$/.test(name) ? name.charAt(0) + name.slice(1).toLowerCase() : name;
+}
+
+// Display name in the interface language; bare numbers become "Ward 8"
+function getAdminName(feature, level) {
+    const props = feature.properties || {};
+    // Provinces only carry their number (most were named after the data was published)
+    if (level === 'province' && /^\d+$/.test(String(props.Province || props.PROVINCE))) {
+        return t(`drill.province.${props.Province || props.PROVINCE}`);
+    }
+    // nepal-geojson has Devanagari names for districts (DISTRICT) and municipalities (GNP)
+    if (currentLanguage === 'ne' && (props.GNP || (level === 'district' && props.DISTRICT))) {
+        return props.GNP || props.DISTRICT;
+    }
+    const name = getAdminEnglishName(feature);
+    if (/^\d+$/.test(name)) {
+        return t(`drill.numbered.${level}`, { number: localizeDigits(name) });
+    }
+    return name;
+}
+
+// Stories (every location except the foundation) inside a boundary
+function countFeatureStories(feature) {
+    return storyLocations.filter(location => !location.isFoundation && featureContains(feature, location.lat, location.lng)).length;
+}
+
+// Start exploring at the provinces, or climb back up to a breadcrumb
+async function showAdminDepth(depth) {
+    adminPath = (adminPath || []).slice(0, depth);
+    await showAdminLevel();
+}
+
+async function selectAdminFeature(feature, level) {
+    if (!adminPath) return;
+    adminPath = adminPath.slice(0, ADMIN_LEVELS.indexOf(level));
+    adminPath.push({ level, feature });
+    await showAdminLevel();
+}
+
+// Draw the children of the current selection, or its siblings at the bottom of the hierarchy
+async function showAdminLevel() {
+    const token = ++adminRenderToken;
+    const path = adminPath;
+    const parent = path[path.length - 1];
+    const childLevel = ADMIN_LEVELS[path.length];
+    let level = childLevel;
+    let features = childLevel ? await getAdminChildren(childLevel, parent) : [];
+    let note = null;
+    
+    if (!features.length && parent) {
+        if (childLevel) {
+            note = () => t('drill.noData', {
+                level: t(`drill.level.${childLevel}`),
+                name: getAdminName(parent.feature, parent.level)
+            });
+        }
+        level = parent.level;
+        features = await getAdminChildren(parent.level, path[path.length - 2]);
+    } else if (!features.length) {
+        note = () => t('drill.unavailable');
+    }
+    if (token !== adminRenderToken) return;
+    adminNote = note;
+    
+    if (adminLayer) {
+        map.removeLayer(adminLayer);
+    }
+    adminLayer = L.geoJSON({ type: 'FeatureCollection', features }, {
+        style: feature => {
+            const selected = feature === parent?.feature;
+            const hasStories = countFeatureStories(feature) > 0;
+            return {
+                color: selected ? '#dc2626' : '#60a5fa',
+                weight: selected ? 3 : 1.5,
+                opacity: 0.9,
+                fillColor: hasStories ? '#fbbf24' : '#60a5fa',
+                fillOpacity: hasStories ? 0.3 : 0.08
+            };
+        },
+        onEachFeature: (feature, layer) => {
+            layer.bindTooltip(`${getAdminName(feature, level)} - ${t('drill.stories', { count: formatNumber(countFeatureStories(feature)) })}`, { sticky: true });
+            layer.on('click', () => selectAdminFeature(feature, level));
+        }
+    }).addTo(map);
+    
+    if (parent) {
+        map.flyToBounds(L.geoJSON(parent.feature).getBounds(), { duration: 1.2, padding: [30, 30] });
+    } else if (features.length) {
+        map.flyToBounds(adminLayer.getBounds(), { duration: 1.2 });
+    }
+    renderAdminBreadcrumb();
+}
+
+// Stop exploring and go back to Ward 8
+function endAdminDrill() {
+    if (adminLayer) {
+        map.removeLayer(adminLayer);
+        adminLayer = null;
+    }
+    adminPath = null;
+    adminNote = null;
+    adminRenderToken++;
+    map.flyTo(WARD_8_VIEW.center, WARD_8_VIEW.zoom, { duration: 1.5 });
+    renderAdminBreadcrumb();
+}
+
+// Breadcrumb with story counts: Nepal > Bagmati > Kathmandu > Nagarjun > Ward 8
+function renderAdminBreadcrumb() {
+    const breadcrumb = document.getElementById('admin-breadcrumb');
+    if (!breadcrumb) return;
+    
+    const storyCount = storyLocations.filter(location => !location.isFoundation).length;
+    const crumbs = [`<button class="admin-crumb" data-depth="0"><i class="fas fa-sitemap"></i> ${t('drill.nepal')} <span class="admin-crumb-count">${formatNumber(storyCount)}</span></button>`];
+    (adminPath || []).forEach((step, index) => {
+        crumbs.push(`<span class="admin-crumb-separator">›</span><button class="admin-crumb" data-depth="${index + 1}">${getAdminName(step.feature, step.level)} <span class="admin-crumb-count">${formatNumber(countFeatureStories(step.feature))}</span></button>`);
+    });
+    
+    breadcrumb.innerHTML = `
+        ${adminPath ? '' : `<span class="admin-breadcrumb-hint">${t('drill.explore')}</span>`}
+        ${crumbs.join('')}
+        ${adminPath ? `<button class="admin-drill-close" title="${t('drill.close')}" aria-label="${t('drill.close')}"><i class="fas fa-xmark"></i></button>` : ''}
+        ${adminNote ? `<div class="admin-drill-note">${adminNote()}</div>` : ''}
+    `;
+    breadcrumb.querySelectorAll('.admin-crumb').forEach(crumb => {
+        crumb.addEventListener('click', () => showAdminDepth(Number(crumb.dataset.depth)));
+    });
+    breadcrumb.querySelector('.admin-drill-close')?.addEventListener('click', endAdminDrill);
+    breadcrumb.classList.add('show');
+}
+
+// Load all Nagarjun areas at once - no dramatic sequence
+function startAreaHighlighting() {
+    // Show all areas immediately with subtle highlighting
+    areaLayers.forEach(area => {
+        area.layer.setStyle({
+            color: area.feature.properties.color,
+            weight: 2,
+            opacity: 0.7,
+            fillColor: area.feature.properties.fillColor,
+            fillOpacity: 0.15
+        });
+    });
+    
+    // Add house markers immediately after areas load
+    setTimeout(() => {
+        // A full household survey goes in as one batch - dropping 500 markers one by one takes minutes
+        const batched = houseMarkers.length > CANVAS_MARKER_THRESHOLD && !storyEditorEnabled;
+        if (batched) {
+            storyClusterGroup.addLayers(houseMarkers.filter((marker, index) => locationMatchesFilters(houseData[index])));
+        } else {
+            houseMarkers.forEach((marker, index) => {
+                setTimeout(() => {
+                    // Houses hidden by the filter panel stay off the map
+                    if (!locationMatchesFilters(houseData[index])) return;
+                    addStoryMarker(marker);
+                    const element = marker.getElement();
+                    if (element) {
+                        element.style.animation = 'markerDrop 0.6s ease-out';
+                    }
+                }, index * 200);
+            });
+        }
+        
+        // Add foundation label if it exists
+        if (foundationLabel) {
+            setTimeout(() => {
+                foundationLabel.addTo(map);
+            }, batched ? 200 : houseMarkers.length * 200 + 200);
+        }
+    }, 500);
+}
+
+// Complete cinematic sequence on page load
+window.addEventListener('load', async () => {
+    const splashScreen = document.getElementById('splash-screen');
+    const statsOverlay = document.getElementById('national-stats-overlay');
+    const videoOverlay = document.getElementById('cinematic-video-overlay');
+    
+    // Initially hide overlays until we're ready
+    statsOverlay.style.display = 'none';
+    videoOverlay.style.display = 'none';
+    
+    // Load story dataset (locations, quotes, media) and journey files while the intro plays
+    storyDatasetReady = Promise.all([loadStoryDataset(), loadJourneys(), loadTranslations(), loadAreaBoundaries()]);
+    storyDatasetReady.then(renderAdminBreadcrumb);
+    
+    // Load geographic boundaries in background (don't wait for it)
+    console.log('Starting boundary loading in background...');
+    boundariesReady = loadGeographicBoundaries().catch(error => {
+        console.warn('Boundary loading failed, continuing without boundaries:', error);
+    });
+    
+    // Story editor (?edit) skips the intro and goes straight to the map
+    if (storyEditorEnabled) {
+        splashScreen.style.display = 'none';
+        startStoryEditor();
+        return;
+    }
+    
+    // Phase 1: Show ALIN splash screen for 4 seconds
+    console.log('Starting splash screen sequence...');
+    setTimeout(() => {
+        console.log('Phase 1: Fading out splash screen...');
         splashScreen.style.animation = 'splashFadeOut 1s ease-out forwards';
         
         // Phase 2: Show Nepal map with statistics overlay
@@ -1395,358 +1814,426 @@ window.addEventListener('load', async () => {
 const modal = document.getElementById('popup-modal');
 const closeBtn = document.querySelector('.close');
 
-// Function to open Shop popup
-function openShopPopup() {
-    // Hide navbar
-    hideNavbar();
-    
-    document.getElementById('popup-title').textContent = 'Kirna Shop';
-    
-    // Update location information  
-    document.getElementById('location-name').textContent = 'Barsha Pokharel';
-    document.getElementById('interview-count').textContent = 'Grocery Shop Owner';
-    
-    // Update access level badge
-    const accessBadge = document.getElementById('access-badge');
-    accessBadge.textContent = 'MEDIUM ACCESS';
-    accessBadge.className = 'badge medium-access';
+// Location shown in the side panel (null for custom panels)
+let currentPopupLocation = null;
+
+// Default theme labels (UI string keys) and icons for quote slots that don't set their own
+const defaultQuoteThemes = [
+    { theme: 'quoteTheme.1', icon: '🏠' },
+    { theme: 'quoteTheme.2', icon: '📱' },
+    { theme: 'quoteTheme.3', icon: '👶' }
+];
+
+// Fill the three quote slots from a dataset quote list
+function fillQuoteItems(quotes, fallbackTexts = []) {
+    for (let i = 0; i < 3; i++) {
+        const quote = quotes?.[i] || {};
+        document.getElementById(`quote-${i + 1}`).textContent = quote.text || fallbackTexts[i] || '';
+        document.querySelector(`.quote-item:nth-child(${i + 1}) .quote-theme`).textContent = quote.theme || t(defaultQuoteThemes[i].theme);
+        document.querySelector(`.quote-item:nth-child(${i + 1}) .quote-icon`).textContent = quote.icon || defaultQuoteThemes[i].icon;
+    }
+}
+
+// Video slots below the quotes, filled in order from a location's video list
+const popupVideoSlots = [
+    { section: 'video-1-section', heading: 'video-1-heading', frame: 'youtube-video' },
+    { section: 'video-2-section', heading: 'video-2-heading', frame: 'second-video' },
+    { section: 'video-3-section', heading: 'video-3-heading', frame: 'third-video' }
+];
+
+// Badge shown in the panel header - street interviews carry their own, everything else shows its access level
+function getLocationBadge(location) {
+    return location.badge || { label: t(`access.${location.digitalAccess}`), style: location.digitalAccess };
+}
+
+// Caption tracks for the participant videos: a Nepali transcript and an English translation
+const CAPTION_LANGUAGES = ['ne', 'en'];
+
+let captionLanguage = localStorage.getItem('captionLanguage') || (currentLanguage === 'ne' ? 'ne' : 'en');
+
+// Find the caption files for a video url in the dataset ({ ne: 'video/captions/...vtt', en: ... }) - null until a video has real timed tracks
+function getVideoCaptions(url) {
+    const videos = [...participants, ...storyLocations].flatMap(record => record.videos || []);
+    return videos.find(video => video.url === url)?.captions || null;
+}
+
+// Add <track> elements and a caption language selector to a video player
+function attachCaptions(videoElement, url) {
+    videoElement.querySelectorAll('track').forEach(track => track.remove());
+    videoElement.parentNode.querySelector('.caption-controls')?.remove();
+    videoElement.parentNode.querySelector('.video-transcript')?.remove();
+    // Only our own transcript listener goes - other timeupdate handlers on the player stay
+    if (videoElement.transcriptTimeUpdate) {
+        videoElement.removeEventListener('timeupdate', videoElement.transcriptTimeUpdate);
+        videoElement.transcriptTimeUpdate = null;
+    }
     
-    // Show resident content, hide foundation content
-    document.getElementById('resident-content').style.display = 'block';
-    document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
+    const captions = getVideoCaptions(url);
+    if (!captions) return;
     
-    // 🎥 SHOWCASE VIDEO: Barsha's banking video
-    document.querySelector('.showcase-video-section').style.display = 'block';
-    document.getElementById('showcase-video-heading').textContent = '🎥 On Not Using Online Banking and Wallets';
+    CAPTION_LANGUAGES.filter(language => captions[language]).forEach(language => {
+        const track = document.createElement('track');
+        track.kind = 'subtitles';
+        track.srclang = language;
+        track.label = t(`captions.${language}`);
+        track.src = captions[language];
+        videoElement.appendChild(track);
+    });
     
-    const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-    showcaseVideoContainer.innerHTML = `
-        <iframe src="https://drive.google.com/file/d/1UulOKF5g4sKxMJ_uZwK0Jw23OnyiO2gn/preview" 
-                width="100%" height="350" frameborder="0" allow="autoplay">
-        </iframe>
+    const controls = document.createElement('div');
+    controls.className = 'caption-controls';
+    controls.innerHTML = `
+        <label>
+            <i class="fas fa-closed-captioning"></i>
+            <span>${t('captions.label')}</span>
+            <select class="caption-select">
+                <option value="off">${t('captions.off')}</option>
+                ${CAPTION_LANGUAGES.filter(language => captions[language]).map(language => `
+                    <option value="${language}">${t(`captions.${language}`)}</option>
+                `).join('')}
+            </select>
+        </label>
     `;
+    controls.querySelector('select').addEventListener('change', event => setCaptionLanguage(event.target.value));
+    videoElement.insertAdjacentElement('afterend', controls);
+    
+    showCaptionTrack(videoElement);
+    attachTranscript(videoElement, captions);
+}
 
-    // Update profile section
-    document.getElementById('resident-headshot').src = 'interviews/Local shop/Barsha_Pokharel.png';
-    document.getElementById('resident-name').textContent = 'Barsha Pokharel';
-    document.getElementById('resident-role').textContent = 'Grocery Shop Owner (33 years old)';
-    document.getElementById('resident-description').textContent = '33-year-old grocery shop owner near Buspark. Lives with extended family including mother-in-law, father-in-law, 10-year-old son, and sister-in-law. Uses phone all day in shop - mainly TikTok and business videos.';
+// Show the selected language's track on a player and hide the others
+function showCaptionTrack(videoElement) {
+    videoElement.querySelectorAll('track').forEach(track => {
+        track.track.mode = track.srclang === captionLanguage ? 'showing' : 'disabled';
+    });
     
-    // Update quotes with Barsha's real perspectives
-    document.getElementById('quote-1').textContent = '"I use phone whole day in the shop. I feel bored when it doesn\'t work because I have to do time pass here and if it doesn\'t work, I feel so bored."';
-    document.getElementById('quote-2').textContent = '"In this generation children are so difficult to handle. There is a fear - if we refuse to give them phones, they might take negative decisions. Various incidents happened due to refusing phones, they do suicide. That\'s why we\'re scared and have to act softly."';
-    document.getElementById('quote-3').textContent = '"It takes time for 10, 20 rupees to collect online, but if we have cash, we can buy things easily. That\'s why I don\'t use online payments."';
+    const select = videoElement.parentNode.querySelector('.caption-select');
+    if (select) {
+        select.value = [...select.options].some(option => option.value === captionLanguage) ? captionLanguage : 'off';
+    }
+}
+
+// Switch caption language on every open player and remember the choice
+function setCaptionLanguage(language) {
+    captionLanguage = language;
+    localStorage.setItem('captionLanguage', language);
+    document.querySelectorAll('video').forEach(videoElement => {
+        if (videoElement.querySelector('track')) {
+            showCaptionTrack(videoElement);
+            renderTranscript(videoElement);
+        }
+    });
+}
+
+// Interactive transcripts built from the same caption files - the line being spoken is
+// highlighted, clicking a line seeks the video, and the search box steps through matches
+const transcriptCache = {};
+
+// Parse a WebVTT file into cues ({ start, end, text } with times in seconds)
+function parseVtt(text) {
+    const toSeconds = time => time.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
     
-    // Hide photo elements for cleaner quote-only design
-    document.getElementById('photo-1').style.display = 'none';
-    document.getElementById('photo-2').style.display = 'none';
-    document.getElementById('photo-3').style.display = 'none';
+    return text.replace(/\r/g, '').split(/\n{2,}/).map(block => {
+        const lines = block.trim().split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return null;
+        
+        const [start, end] = lines[timingIndex].split('-->').map(part => toSeconds(part.trim().split(/\s+/)[0]));
+        return { start, end, text: lines.slice(timingIndex + 1).join(' ') };
+    }).filter(Boolean);
+}
+
+// Fetch (once) and parse a caption file
+async function loadTranscript(src) {
+    if (!transcriptCache[src]) {
+        transcriptCache[src] = fetch(src).then(response => {
+            if (!response.ok) {
+                throw new Error(`Transcript fetch failed: ${response.status}`);
+            }
+            return response.text();
+        }).then(parseVtt);
+    }
+    return transcriptCache[src];
+}
+
+// Format seconds as m:ss for the transcript timestamps
+function formatTranscriptTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(Math.floor(seconds % 60)).padStart(2, '0');
+    return localizeDigits(`${minutes}:${rest}`);
+}
+
+// Add the transcript panel below a player's caption controls
+function attachTranscript(videoElement, captions) {
+    const transcript = document.createElement('div');
+    transcript.className = 'video-transcript';
+    transcript.innerHTML = `
+        <div class="transcript-header">
+            <h4>${t('transcript.title')}</h4>
+            <div class="transcript-search">
+                <input type="search" class="transcript-search-input" placeholder="${t('transcript.search')}">
+                <span class="transcript-match-count"></span>
+                <button class="transcript-prev" title="${t('transcript.previous')}"><i class="fas fa-chevron-up"></i></button>
+                <button class="transcript-next" title="${t('transcript.next')}"><i class="fas fa-chevron-down"></i></button>
+            </div>
+        </div>
+        <ol class="transcript-lines"></ol>
+    `;
+    transcript.captions = captions;
+    videoElement.parentNode.querySelector('.caption-controls').insertAdjacentElement('afterend', transcript);
+    
+    const input = transcript.querySelector('.transcript-search-input');
+    input.addEventListener('input', () => searchTranscript(transcript, 0));
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            stepTranscriptMatch(transcript, event.shiftKey ? -1 : 1);
+        }
+    });
+    transcript.querySelector('.transcript-prev').addEventListener('click', () => stepTranscriptMatch(transcript, -1));
+    transcript.querySelector('.transcript-next').addEventListener('click', () => stepTranscriptMatch(transcript, 1));
+    
+    // Clicking a line jumps the video to it
+    transcript.querySelector('.transcript-lines').addEventListener('click', event => {
+        const line = event.target.closest('.transcript-line');
+        if (!line) return;
+        videoElement.currentTime = Number(line.dataset.start);
+        videoElement.play().catch(e => console.log('Auto-play failed, user interaction required'));
+    });
     
-    // Show second video section with Barsha's concerns video
-    document.getElementById('video-2-section').style.display = 'block';
-    document.getElementById('video-2-heading').textContent = '🎥 Concerns on Mobile Use by Children';
-    document.getElementById('second-video').src = 'https://drive.google.com/file/d/1G-L2Tvvz0UHGadU9MQisKoBd9kAJNpgH/preview';
+    videoElement.transcriptTimeUpdate = () => highlightTranscriptLine(transcript, videoElement.currentTime);
+    videoElement.addEventListener('timeupdate', videoElement.transcriptTimeUpdate);
     
-    // Hide first and third video sections (showcase video covers the first one)
-    document.querySelector('.video-section').style.display = 'none';
-    document.getElementById('video-3-section').style.display = 'none';
+    renderTranscript(videoElement);
+}
+
+// Fill the transcript in the caption language (or the interface language when captions are off)
+async function renderTranscript(videoElement) {
+    const transcript = videoElement.parentNode.querySelector('.video-transcript');
+    if (!transcript) return;
     
-    // Hide statistics section for Kirna Shop
-    document.getElementById('resident-stats').style.display = 'none';
+    const captions = transcript.captions;
+    const language = captions[captionLanguage] ? captionLanguage : (captions[currentLanguage] ? currentLanguage : CAPTION_LANGUAGES.find(l => captions[l]));
+    const list = transcript.querySelector('.transcript-lines');
+    // Switching languages mid-fetch starts another render - only the latest one may fill the list
+    const renderToken = transcript.renderToken = (transcript.renderToken || 0) + 1;
+    const isStale = () => renderToken !== transcript.renderToken || !transcript.isConnected;
     
-    modal.style.display = 'block';
-    modal.classList.add('show');
-    document.getElementById('map').classList.add('map-with-panel');
-    setTimeout(() => {
-        map.invalidateSize();
-    }, 300);
+    let cues;
+    try {
+        cues = await loadTranscript(captions[language]);
+    } catch (error) {
+        if (isStale()) return;
+        console.warn('Could not load transcript:', error);
+        list.innerHTML = `<li class="transcript-empty">${t('transcript.unavailable')}</li>`;
+        return;
+    }
+    if (isStale()) return;
+    
+    list.lang = language;
+    list.innerHTML = cues.map(cue => `
+        <li class="transcript-line" data-start="${cue.start}" data-end="${cue.end}">
+            <span class="transcript-time">${formatTranscriptTime(cue.start)}</span>
+            <span class="transcript-text">${escapeHtml(cue.text)}</span>
+        </li>
+    `).join('');
+    
+    highlightTranscriptLine(transcript, videoElement.currentTime);
+    searchTranscript(transcript, 0);
 }
 
-// Function to open Street Interview popup
-function openStreetInterviewPopup(location) {
-    // Hide navbar
-    hideNavbar();
+// Mark the cue being spoken and keep it in view inside the transcript list
+function highlightTranscriptLine(transcript, currentTime) {
+    const list = transcript.querySelector('.transcript-lines');
+    list.querySelectorAll('.transcript-line').forEach(line => {
+        const isActive = currentTime >= Number(line.dataset.start) && currentTime < Number(line.dataset.end);
+        if (isActive && !line.classList.contains('active')) {
+            list.scrollTop = line.offsetTop - list.offsetTop - list.clientHeight / 3;
+        }
+        line.classList.toggle('active', isActive);
+    });
+}
+
+// Highlight every line matching the search box and jump to match number `index`
+function searchTranscript(transcript, index) {
+    const query = transcript.querySelector('.transcript-search-input').value.trim().toLowerCase();
+    const lines = [...transcript.querySelectorAll('.transcript-line')];
     
-    // Update title - special cases for specific participants
-    if (location.name === 'Street Interview 3') {
-        document.getElementById('popup-title').textContent = 'Street Interview - Maili Tamang';
-    } else if (location.name === 'Street Interview 2') {
-        document.getElementById('popup-title').textContent = 'Street Interview - Bijay Tamang';
-    } else {
-        document.getElementById('popup-title').textContent = `${location.name} - Street Interview`;
-    }
+    lines.forEach(line => {
+        const text = line.querySelector('.transcript-text');
+        text.textContent = text.textContent;
+        line.classList.remove('search-match', 'search-current');
+    });
     
-    // Update location information  
-    document.getElementById('location-name').textContent = 'Public Space Interview';
-    document.getElementById('interview-count').textContent = 'Street-level Perspectives';
+    transcript.matches = [];
+    if (query) {
+        lines.forEach(line => {
+            const text = line.querySelector('.transcript-text');
+            const start = text.textContent.toLowerCase().indexOf(query);
+            if (start === -1) return;
+            
+            const original = text.textContent;
+            text.innerHTML = `${escapeHtml(original.slice(0, start))}<mark>${escapeHtml(original.slice(start, start + query.length))}</mark>${escapeHtml(original.slice(start + query.length))}`;
+            line.classList.add('search-match');
+            transcript.matches.push(line);
+        });
+    }
     
-    // Update access level badge
-    const accessBadge = document.getElementById('access-badge');
-    accessBadge.textContent = 'INTERVIEW';
-    accessBadge.className = 'badge interview-access';
+    transcript.matchIndex = index;
+    showTranscriptMatch(transcript);
+}
+
+// Move to the next (1) or previous (-1) search match, wrapping around
+function stepTranscriptMatch(transcript, direction) {
+    const count = (transcript.matches || []).length;
+    if (!count) return;
     
-    // Show resident content, hide foundation content
-    document.getElementById('resident-content').style.display = 'block';
-    document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // Update profile section - check for specific participants
-    if (location.name === 'Street Interview 3') {
-        document.getElementById('resident-headshot').src = 'interviews/street interview/street interview 3/Maili Tamang.JPG';
-        document.getElementById('resident-name').textContent = 'Maili Tamang';
-        document.getElementById('resident-role').textContent = '58-year-old widow from Majhuwa';
-        document.getElementById('resident-description').textContent = 'Lives contentedly without smartphones - believes she\'s past the age for learning new technology but is at peace with traditional methods.';
-    } else if (location.name === 'Street Interview 2') {
-        document.getElementById('resident-headshot').src = 'photos/headshots/Bijay_tamang.png';
-        document.getElementById('resident-name').textContent = 'Bijay Tamang';
-        document.getElementById('resident-role').textContent = '17-year-old college student';
-        document.getElementById('resident-description').textContent = '17-year-old college student living with parents and younger sister (9-10). Only he and father regularly use mobile phones. Area has decent wifi coverage with about 50% of homes connected. Experienced online scam losing 8-11k rupees buying FreeFire gaming account.';
-    } else {
-        document.getElementById('resident-headshot').src = 'https://via.placeholder.com/120x120/6366f1/ffffff?text=🎤';
-        document.getElementById('resident-name').textContent = 'Samjhana Lama';
-        document.getElementById('resident-role').textContent = 'Street Interview Participants';
-        document.getElementById('resident-description').textContent = 'Street-level conversations capture spontaneous insights about digital access, mobile data usage, and how people navigate digital services while moving through their community.';
-    }
-    
-    // Update photo collage
-    document.getElementById('photo-1').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Traditional+Life+in+Majhuwa';
-    document.getElementById('photo-2').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Generational+Perspectives';
-    document.getElementById('photo-3').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Community+Values';
-    
-    // Update quotes and video based on location
-    if (location.name === 'Street Interview 3') {
-        document.getElementById('quote-1').textContent = '"I\'ve gotten old. Half of my life has already passed. What\'s the use for me now? I\'m at peace without it."';
-        document.getElementById('quote-2').textContent = '"We had nothing like this in our time. Now even small kids have mobile phones. I don\'t even know how to say \'hello\' on one."';
-        document.getElementById('quote-3').textContent = '"Mobile phones will ruin children. We shouldn\'t give them until age 20-22. There\'s nothing greater than education."';
-        
-        // 🎥 SHOWCASE VIDEO: Only for Maili Tamang - Put her video in the showcase section
-        document.querySelector('.showcase-video-section').style.display = 'block';
-        document.getElementById('showcase-video-heading').textContent = '🎥 Perception of Mobile Phones';
-        
-        // Create iframe in the showcase video container
-        const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-        showcaseVideoContainer.innerHTML = `
-            <iframe src="https://drive.google.com/file/d/1TtkMt7IbRgbdaof_zOenLbqyy5MuRDcg/preview" 
-                    width="100%" 
-                    height="350" 
-                    frameborder="0" 
-                    allow="autoplay"
-                    style="border-radius: 8px;">
-            </iframe>
-        `;
-        
-        // Hide the old video section completely
-        document.querySelector('.video-section').style.display = 'none';
-    } else if (location.name === 'Street Interview 2') {
-        document.getElementById('quote-1').textContent = '"I wake up and go to college, when I return back I use mobile for little bit and play some online games... I play Mobile Legends"';
-        document.getElementById('quote-2').textContent = '"I am doubtful actually. I actually got scammed. Since then, I don\'t do it... I bought the ID but the seller changed the passcode"';
-        document.getElementById('quote-3').textContent = '"It\'s not like that.. they sometimes use the mobile phone... [Sister] just watches TikToks... [Father] didn\'t agree to learn [online banking]"';
-        
-        // Update quote themes for Bijay's content
-        document.querySelector('.quote-item:nth-child(1) .quote-theme').textContent = 'Gaming & Digital Life';
-        document.querySelector('.quote-item:nth-child(2) .quote-theme').textContent = 'Trust & Online Safety';
-        document.querySelector('.quote-item:nth-child(3) .quote-theme').textContent = 'Family Digital Divide';
-        
-        // Update quote icons to match Bijay's themes
-        document.querySelector('.quote-item:nth-child(1) .quote-icon').textContent = '🎮';
-        document.querySelector('.quote-item:nth-child(2) .quote-icon').textContent = '🔒';
-        document.querySelector('.quote-item:nth-child(3) .quote-icon').textContent = '👨‍👩‍👧‍👦';
-        
-        // 🎥 SHOWCASE VIDEO: Bijay's Mobile Gaming Scam Story
-        document.querySelector('.showcase-video-section').style.display = 'block';
-        document.getElementById('showcase-video-heading').textContent = '🎥 Mobile Gaming Scam Story';
-        
-        // Create iframe in the showcase video container
-        const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-        showcaseVideoContainer.innerHTML = `
-            <iframe src="https://drive.google.com/file/d/1m1Q8CPlbzHUyv51OKcLx2JLEASR1u1hQ/preview" 
-                    width="100%" 
-                    height="350" 
-                    frameborder="0" 
-                    allow="autoplay"
-                    style="border-radius: 8px;">
-            </iframe>
+    transcript.matchIndex = (transcript.matchIndex + direction + count) % count;
+    showTranscriptMatch(transcript);
+}
+
+function showTranscriptMatch(transcript) {
+    const matches = transcript.matches || [];
+    const counter = transcript.querySelector('.transcript-match-count');
+    const hasQuery = transcript.querySelector('.transcript-search-input').value.trim() !== '';
+    
+    counter.textContent = hasQuery ? t('transcript.matches', {
+        current: formatNumber(matches.length ? transcript.matchIndex + 1 : 0),
+        total: formatNumber(matches.length)
+    }) : '';
+    
+    matches.forEach((line, i) => line.classList.toggle('search-current', i === transcript.matchIndex));
+    const current = matches[transcript.matchIndex];
+    if (current) {
+        const list = transcript.querySelector('.transcript-lines');
+        list.scrollTop = current.offsetTop - list.offsetTop - list.clientHeight / 3;
+    }
+}
+
+// Put a local recording in the showcase slot (Drive recordings replace it with an iframe)
+function showShowcaseVideo(url) {
+    const container = document.querySelector('.showcase-video-container');
+    let showcaseVideo = document.getElementById('showcase-video');
+    if (!showcaseVideo) {
+        container.innerHTML = `
+            <video id="showcase-video" 
+                   controls 
+                   autoplay 
+                   style="width: 100%; height: 350px; border-radius: 8px; background: #000;">
+                Your browser does not support the video tag.
+            </video>
         `;
-        
-        // Hide the old video section completely
-        document.querySelector('.video-section').style.display = 'none';
-    } else {
-        // For other interviews - hide showcase video section
-        document.querySelector('.showcase-video-section').style.display = 'none';
-        
-        document.getElementById('quote-1').textContent = '"Street interviews reveal the everyday challenges people face with digital services in public spaces."';
-        document.getElementById('quote-2').textContent = '"Mobile data is expensive but necessary for staying connected while away from home."';
-        document.getElementById('quote-3').textContent = '"Public wifi is unreliable, so we depend on our phone data plans."';
-        
-        document.getElementById('video-1-heading').textContent = '🎥 Street Conversations';
-        document.getElementById('youtube-video').src = 'https://www.youtube.com/embed/dQw4w9WgXcQ';
-    }
-    
-    // Hide second and third video sections (not needed for interviews)
-    document.getElementById('video-2-section').style.display = 'none';
-    document.getElementById('video-3-section').style.display = 'none';
-    
-    // Update statistics with interview data - special cases for participants
-    if (location.name === 'Street Interview 3') {
-        document.getElementById('internet-speed').textContent = 'N/A';
-        document.getElementById('devices').textContent = 'none';
-        document.getElementById('monthly-cost').textContent = 'N/A';
-        document.getElementById('digital-skills').textContent = 'none';
-        document.getElementById('online-services').textContent = 'none';
-    } else if (location.name === 'Street Interview 2') {
-        document.getElementById('internet-speed').textContent = 'Works properly for gaming (occasional ping issues)';
-        document.getElementById('devices').textContent = 'Mobile phone (has damaged 2 from gaming anger)';
-        document.getElementById('monthly-cost').textContent = 'Not specified';
-        document.getElementById('digital-skills').textContent = 'Medium-Advanced (online banking, social media, gaming)';
-        document.getElementById('online-services').textContent = 'Mobile Legends gaming, Instagram and Facebook, eSewa digital banking, TikTok (family sharing)';
+        showcaseVideo = document.getElementById('showcase-video');
+    }
+    
+    showcaseVideo.src = url;
+    attachCaptions(showcaseVideo, url);
+}
+
+// Fill the showcase player and video slots from a dataset video list
+function fillVideoSections(videos = []) {
+    const remaining = [...videos];
+    
+    // 🎥 SHOWCASE VIDEO: recorded interviews (Drive) lead the panel, YouTube embeds go to the regular slots
+    const showcaseSection = document.querySelector('.showcase-video-section');
+    if (remaining[0] && !remaining[0].url.includes('youtube.com')) {
+        const showcaseVideo = remaining.shift();
+        showcaseSection.style.display = 'block';
+        document.getElementById('showcase-video-heading').textContent = `🎥 ${showcaseVideo.title}`;
+        if (/^https?:\/\//.test(showcaseVideo.url)) {
+            document.querySelector('.showcase-video-container').innerHTML = `
+                <iframe src="${showcaseVideo.url}" 
+                        width="100%" 
+                        height="350" 
+                        frameborder="0" 
+                        allow="autoplay"
+                        style="border-radius: 8px;">
+                </iframe>
+            `;
+        } else {
+            showShowcaseVideo(showcaseVideo.url);
+        }
     } else {
-        document.getElementById('internet-speed').textContent = 'Mobile data dependent';
-        document.getElementById('devices').textContent = 'Personal smartphones';
-        document.getElementById('monthly-cost').textContent = 'Variable data plans';
-        document.getElementById('digital-skills').textContent = 'Practical mobile skills';
-        document.getElementById('online-services').textContent = 'On-the-go digital needs';
+        showcaseSection.style.display = 'none';
     }
     
-    modal.style.display = 'block';
-    modal.classList.add('show');
-    document.getElementById('map').classList.add('map-with-panel');
-    setTimeout(() => {
-        map.invalidateSize();
-    }, 300);
+    popupVideoSlots.forEach((slot, i) => {
+        const video = remaining[i];
+        document.getElementById(slot.section).style.display = video ? 'block' : 'none';
+        document.getElementById(slot.heading).textContent = video ? `🎥 ${video.title}` : '';
+        document.getElementById(slot.frame).src = video ? video.url : '';
+    });
     
-    // Check if story mode is active and start viewing timer
-    checkAndStartStoryModeViewing(location);
+    if (remaining.length > popupVideoSlots.length) {
+        console.warn(`Only ${popupVideoSlots.length} videos fit below the quotes, ${remaining.length - popupVideoSlots.length} not shown`);
+    }
 }
 
-// Function to open Khajaghar popup
-function openKhajagharPopup(location) {
-    // Hide navbar
+// Function to open the side panel for any location record from the story dataset
+function openLocationPopup(location) {
+    // In the story editor, markers open the edit form instead
+    if (storyEditorEnabled) {
+        openLocationEditor(location);
+        return;
+    }
+    
+    // Hide navbar when panel opens
     hideNavbar();
     
-    document.getElementById('popup-title').textContent = location.name;
+    // Remember the original record so a language switch can redraw it
+    currentPopupLocation = location;
+    const record = location;
+    location = localizeRecord('locations', location);
+    
+    document.getElementById('popup-title').textContent = location.title;
     
-    // Update location information  
-    document.getElementById('location-name').textContent = 'Sunita Tamang';
-    document.getElementById('interview-count').textContent = 'Shop Owner & selectively digital';
+    // Update location information
+    document.getElementById('location-name').textContent = location.locationName || '';
+    document.getElementById('interview-count').textContent = location.interviewCount || '';
     
     // Update access level badge
+    const badge = getLocationBadge(location);
     const accessBadge = document.getElementById('access-badge');
-    accessBadge.textContent = 'HIGH ACCESS';
-    accessBadge.className = 'badge high-access';
+    accessBadge.textContent = badge.label.toUpperCase();
+    accessBadge.className = `badge ${badge.style}-access`;
+    
+    // Foundation records have their own panel layout
+    if (location.foundation) {
+        openFoundationPopup(location);
+        return;
+    }
     
     // Show resident content, hide foundation content
     document.getElementById('resident-content').style.display = 'block';
     document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // Update profile section
-    document.getElementById('resident-headshot').src = 'https://via.placeholder.com/120x120/dc2626/ffffff?text=☕';
-    document.getElementById('resident-name').textContent = 'Tea Shop Owner';
-    document.getElementById('resident-role').textContent = 'Community Hub Keeper';
-    document.getElementById('resident-description').textContent = 'Traditional khajaghar serve as important social spaces where community members share information about digital services, help each other with online forms, and discuss the challenges of adapting to digital systems.';
-    
-    // Update photo collage
-    document.getElementById('photo-1').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Tea+Shop+Gathering';
-    document.getElementById('photo-2').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Community+Discussions';
-    document.getElementById('photo-3').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Digital+Help';
-    
-    document.getElementById('quote-1').textContent = '"The khajaghar is where people come to discuss everything - from local news to digital services."';
-    document.getElementById('quote-2').textContent = '"Customers often help each other with smartphone apps over tea."';
-    document.getElementById('quote-3').textContent = '"We share knowledge about online forms and digital payments here."';
-    
-    // Check if this is Thaple Khajaghar (formerly Khajaghar 2) or Majuwa Khajaghar
-    if (location.name === "Khajaghar 2" || location.name === "Thaple Khajaghar") {
-        // Thaple Khajaghar - Aman Tamang (Grade 12 Hotel Management student)
-        document.getElementById('resident-headshot').src = 'photos/headshots/Aman Tamang.png';
-        document.getElementById('resident-name').textContent = 'Aman Tamang';
-        document.getElementById('resident-role').textContent = 'Grade 12 Hotel Management Student';
-        document.getElementById('resident-description').textContent = 'Grade 12 Hotel Management student living with parents and sister. Family runs shop/restaurant business with eSewa payments. Heavy daily phone user starting 4:45am, extensive gaming during college breaks and after school.';
-        
-        // Update quotes from Aman's real content
-        document.getElementById('quote-1').textContent = '"I give a lot of my time to phone... In lunch break, we don\'t actually eat lunch but play mobile phones... if battery is low, I play it while charging"';
-        document.getElementById('quote-2').textContent = '"I think we learn more from smartboard... They show videos. They show exercise from youtube... We can find books there as well. We don\'t have to carry one"';
-        document.getElementById('quote-3').textContent = '"I have 3 facebook id... One for school like school groups, one for friends and one for personal... It\'s only me. I don\'t think they have lots of ids"';
-        
-        // Update quote themes for Aman's content
-        document.querySelector('.quote-item:nth-child(1) .quote-theme').textContent = 'Intensive Gaming Lifestyle';
-        document.querySelector('.quote-item:nth-child(2) .quote-theme').textContent = 'Educational Technology';
-        document.querySelector('.quote-item:nth-child(3) .quote-theme').textContent = 'Digital Identity Management';
-        
-        // Update quote icons to match Aman's themes
-        document.querySelector('.quote-item:nth-child(1) .quote-icon').textContent = '🎮';
-        document.querySelector('.quote-item:nth-child(2) .quote-icon').textContent = '📱';
-        document.querySelector('.quote-item:nth-child(3) .quote-icon').textContent = '🔄';
-        
-        // 🎥 SHOWCASE VIDEO: Aman's Value of Internet in daily life
-        document.querySelector('.showcase-video-section').style.display = 'block';
-        document.getElementById('showcase-video-heading').textContent = '🎥 Value of Internet in Daily Life';
-        
-        // Create iframe in the showcase video container
-        const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-        showcaseVideoContainer.innerHTML = `
-            <iframe src="https://drive.google.com/file/d/1hLANscn_QwqB7kikdPvgiBnBowQRBiYf/preview" 
-                    width="100%" 
-                    height="350" 
-                    frameborder="0" 
-                    allow="autoplay"
-                    style="border-radius: 8px;">
-            </iframe>
-        `;
-        
-        // Show second video section
-        document.getElementById('video-2-section').style.display = 'block';
-        document.getElementById('video-2-heading').textContent = '🎥 Use of Internet in Learning';
-        document.getElementById('second-video').src = 'https://drive.google.com/file/d/1AtMPVtt5veyhsd_PKRIl9ruxG7pzGo7n/preview';
-        
-        // Hide first and third video sections (showcase video covers the main content)
-        document.querySelector('.video-section').style.display = 'none';
-        document.getElementById('video-3-section').style.display = 'none';
-    } else {
-        // Majuwa Khajaghar - Sunita Tamang (Shop Owner & Lifelong Learner)
-        document.getElementById('resident-name').textContent = 'Sunita Tamang';
-        document.getElementById('resident-role').textContent = 'Shop Owner & Lifelong Learner';
-        document.getElementById('resident-description').textContent = 'Shop owner, studied till 4-5th grade. Lives with extended family including young grandson. Uses phone 1-2 hours daily for leisure - watches TikTok and Facebook but doesn\'t create content.';
-        
-        // 🎥 SHOWCASE VIDEO: Sunita's Google Drive link
-        document.querySelector('.showcase-video-section').style.display = 'block';
-        document.getElementById('showcase-video-heading').textContent = '🎥 Digital Learning at Any Age';
-        
-        const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-        showcaseVideoContainer.innerHTML = `
-            <iframe src="https://drive.google.com/file/d/1Gb3JR_vFlNlu2d8mmnU9gd9kr89JoK8C/preview" 
-                    width="100%" height="350" frameborder="0" allow="autoplay">
-            </iframe>
-        `;
-
-        // Update headshot
-        document.getElementById('resident-headshot').src = 'interviews/khajaghar/khajaghar 1/Sunita Tamang.JPG';
-        
-        // Update quotes from Sunita's real content
-        document.getElementById('quote-1').textContent = '"I don\'t know how to use much... When I can\'t figure something out, I just leave it. But I try to learn as I go."';
-        document.getElementById('quote-2').textContent = '"They play FreeFire a lot... I fear my grandson will fall into that company too. But what can we do - that\'s how the world is these days."';
-        document.getElementById('quote-3').textContent = '"Despite my age, I like to learn as it\'ll help me one day. People my age don\'t usually do this, but I joined Tibetan classes because we use it in all our rituals."';
-        
-        // Hide all video sections for Majuwa Khajaghar (only showcase video at top)
-        document.querySelector('.video-section').style.display = 'none';
-        document.getElementById('video-2-section').style.display = 'none';
-        document.getElementById('video-3-section').style.display = 'none';
-    }
-    
-    // Update statistics - use Aman's real data for Thaple Khajaghar, Sunita's for Majuwa
-    if (location.name === "Khajaghar 2" || location.name === "Thaple Khajaghar") {
-        document.getElementById('internet-speed').textContent = 'Works properly (wifi for business), NTC mobile data reliable, Ncell only works on hills';
-        document.getElementById('devices').textContent = 'Smartphone (not gaming-specific but used heavily for games)';
-        document.getElementById('monthly-cost').textContent = 'Not specified (business wifi)';
-        document.getElementById('digital-skills').textContent = 'Medium-Advanced (gaming, social media, educational apps, eSewa, multiple accounts)';
-        document.getElementById('online-services').textContent = 'FreeFire gaming and top-ups, YouTube educational content, Facebook (3 accounts), TikTok, Instagram, Snapchat, eSewa business payments';
-    } else {
-        // Sunita Tamang's statistics
-        document.getElementById('internet-speed').textContent = '350 Mbps';
-        document.getElementById('devices').textContent = 'Personal smartphone, family smartphones';
-        document.getElementById('monthly-cost').textContent = 'N/A';
-        document.getElementById('digital-skills').textContent = 'Basic use';
-        document.getElementById('online-services').textContent = 'WhatsApp (Tibetan language classes), Tiktok and Facebook';
+    
+    // Update profile section - name and headshot come from the participant registry
+    const participant = localizeRecord('participants', getParticipant(location.participantId)) || {};
+    const profile = location.profile || {};
+    const story = location.story || {};
+    document.getElementById('resident-headshot').src = participant.headshot || 'https://via.placeholder.com/120x120/e2e8f0/64748b?text=Photo';
+    document.getElementById('resident-name').textContent = participant.name || story.resident || 'Resident Name';
+    document.getElementById('resident-role').textContent = profile.role || participant.role || t('popup.communityMember');
+    document.getElementById('resident-description').textContent = profile.description || story.testimonial || '[Profile description to be added]';
+    
+    // Update quotes with their themes and icons, falling back to the headline story quote
+    fillQuoteItems(location.quotes, [
+        story.quote || '"Living between tradition and technology"',
+        '"Digital tools change how we work and learn"',
+        '"Our community helps each other adapt"'
+    ]);
+    
+    fillVideoSections(location.videos);
+    
+    // Update digital statistics - locations without stats hide the section
+    const stats = location.stats;
+    document.getElementById('resident-stats').style.display = stats ? 'block' : 'none';
+    if (stats) {
+        document.getElementById('internet-speed').textContent = localizeDigits(stats.internetSpeed || 'TBD');
+        document.getElementById('devices').textContent = localizeDigits(stats.devices || 'TBD');
+        document.getElementById('monthly-cost').textContent = localizeAmounts(stats.monthlyDataCost || 'TBD');
+        document.getElementById('digital-skills').textContent = localizeDigits(stats.digitalSkills || 'TBD');
+        document.getElementById('online-services').textContent = localizeDigits(stats.onlineServices || 'TBD');
     }
     
     modal.style.display = 'block';
@@ -1757,276 +2244,23 @@ function openKhajagharPopup(location) {
     }, 300);
     
     // Check if story mode is active and start viewing timer
-    checkAndStartStoryModeViewing(location);
+    checkAndStartStoryModeViewing(record);
 }
 
-// Function to open School popup
-function openSchoolPopup() {
-    // Hide navbar
-    hideNavbar();
-    
-    document.getElementById('popup-title').textContent = 'Majuwa Adharbhut Vidyalaya';
-    
-    // Update location information  
-    document.getElementById('location-name').textContent = 'Shyam Krishna Bhattarai';
-    document.getElementById('interview-count').textContent = 'School Principal';
-    
-    // Update access level badge
-    const accessBadge = document.getElementById('access-badge');
-    accessBadge.textContent = 'MEDIUM ACCESS';
-    accessBadge.className = 'badge medium-access';
-    
-    // Show resident content, hide foundation content
-    document.getElementById('resident-content').style.display = 'block';
-    document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // 🎥 SHOWCASE VIDEO: Principal's Analysis video
-    document.querySelector('.showcase-video-section').style.display = 'block';
-    document.getElementById('showcase-video-heading').textContent = '🎥 Analysis of Technology Use in Majuwa';
-    
-    const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-    showcaseVideoContainer.innerHTML = `
-        <iframe src="https://drive.google.com/file/d/1zT7sWLhgh04hFKervNl-XXM05D327a62/preview" 
-                width="100%" height="350" frameborder="0" allow="autoplay">
-        </iframe>
-    `;
-
-    // Update profile section
-    document.getElementById('resident-headshot').src = 'interviews/principal/Shyam Krishna Bhattarai (HT).png';
-    document.getElementById('resident-name').textContent = 'Shyam Krishna Bhattarai';
-    document.getElementById('resident-role').textContent = 'School Principal';
-    document.getElementById('resident-description').textContent = 'School principal who first experienced mobile phones at age 40. Represents late digital adopters who learned technology out of necessity and now advocates for gradual, patient digital learning approaches.';
-    
-    // Update quotes with principal's perspectives (text only)
-    document.getElementById('quote-1').textContent = '"My first exposure to mobile phone was at 40, and I felt that fear too. I still do not use a calculator. I prefer pen and paper. For me, it feels faster and more natural"';
-    document.getElementById('quote-2').textContent = '"When you are a kid, you don\'t care if your mobile phone breaks. As you get older, you begin to fear what might happen if it breaks. It is like learning to ride a bicycle. A child is open to trying, but at 25, you are more afraid."';
-    document.getElementById('quote-3').textContent = '"Technology should serve education, not replace the fundamentals of learning. We must find balance."';
-    
-    // Hide photo elements for cleaner quote-only design
-    document.getElementById('photo-1').style.display = 'none';
-    document.getElementById('photo-2').style.display = 'none';
-    document.getElementById('photo-3').style.display = 'none';
-    
-    // Show second video section with Government's role video
-    document.getElementById('video-2-section').style.display = 'block';
-    document.getElementById('video-2-heading').textContent = '🎥 On Government\'s Role on Increasing Digital Literacy';
-    document.getElementById('second-video').src = 'https://drive.google.com/file/d/1SdOqhntIZ9mNKYQdcfT3A7TbUyR-UOeE/preview';
-    
-    // Hide first and third video sections (showcase video covers the first one)
-    document.querySelector('.video-section').style.display = 'none';
-    document.getElementById('video-3-section').style.display = 'none';
-    
-    // Show statistics section for principal
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // Update statistics with principal's data
-    document.getElementById('internet-speed').textContent = 'School WiFi + Personal mobile data';
-    document.getElementById('devices').textContent = 'School computers, personal smartphone';
-    document.getElementById('monthly-cost').textContent = 'Institutional internet';
-    document.getElementById('digital-skills').textContent = 'Late adopter, cautious learner';
-    document.getElementById('online-services').textContent = 'Educational tools, basic communication';
-    
-    modal.style.display = 'block';
-    modal.classList.add('show');
-    document.getElementById('map').classList.add('map-with-panel');
-    setTimeout(() => {
-        map.invalidateSize();
-    }, 300);
-}
-
-// Function to open Ward Office popup
-function openWardOfficePopup() {
-    // Hide navbar
-    hideNavbar();
-    
-    document.getElementById('popup-title').textContent = 'Nagarjun Municipality Ward 8 Office';
-    
-    // Update location information  
-    document.getElementById('location-name').textContent = 'Suraj Kumar Pokharel';
-    document.getElementById('interview-count').textContent = 'Ward Chairperson';
-    
-    // Update access level badge
-    const accessBadge = document.getElementById('access-badge');
-    accessBadge.textContent = 'HIGH ACCESS';
-    accessBadge.className = 'badge high-access';
-    
-    // Show resident content, hide foundation content
-    document.getElementById('resident-content').style.display = 'block';
-    document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // 🎥 SHOWCASE VIDEO: Ward Introduction
-    document.querySelector('.showcase-video-section').style.display = 'block';
-    document.getElementById('showcase-video-heading').textContent = '🎥 Introduction of Ward';
-    
-    const showcaseVideoContainer = document.querySelector('.showcase-video-container');
-    showcaseVideoContainer.innerHTML = `
-        <iframe src="https://drive.google.com/file/d/1W7D1_DSX2qeqQhcivB9I0jnAbOaIsMxt/preview" 
-                width="100%" height="350" frameborder="0" allow="autoplay">
-        </iframe>
-    `;
-
-    // Update profile section
-    document.getElementById('resident-headshot').src = 'interviews/ward office/ward_chait.jpg';
-    document.getElementById('resident-name').textContent = 'Suraj Kumar Pokharel';
-    document.getElementById('resident-role').textContent = 'Ward Chairperson';
-    document.getElementById('resident-description').textContent = 'Ward Chairperson of Bhimdhunga, Ward 8 of Nagarjun Municipality - 13km west of central Kathmandu. Leads governance of a peri-urban transition zone with three distinct communities: Majhuwa, Thaple, and Bus Park area.';
-    
-    // Update quotes with ward/community perspectives and fix quote themes
-    document.getElementById('quote-1').textContent = '"Bhimdhunga represents the peri-urban transition zone - caught between traditional rural life and urban connectivity, creating unique digital adoption patterns."';
-    document.getElementById('quote-2').textContent = '"Digital engagement varies dramatically by generation - from elderly non-users to youth heavily involved in mobile gaming, creating age-based digital divides within the same households."';
-    document.getElementById('quote-3').textContent = '"Most residents rely on semi-subsistence farming with few formal employment opportunities, influencing their approach to digital technology adoption."';
-    
-    // Update quote themes to match content
-    document.querySelector('.quote-item:nth-child(1) .quote-theme').textContent = 'Geographic Context';
-    document.querySelector('.quote-item:nth-child(2) .quote-theme').textContent = 'Generational Gaps';
-    document.querySelector('.quote-item:nth-child(3) .quote-theme').textContent = 'Lifestyle & Economics';
-    
-    // Update quote icons to match themes
-    document.querySelector('.quote-item:nth-child(1) .quote-icon').textContent = '🗺️';
-    document.querySelector('.quote-item:nth-child(2) .quote-icon').textContent = '👨‍👩‍👧‍👦';
-    document.querySelector('.quote-item:nth-child(3) .quote-icon').textContent = '🌾';
-    
-    // Hide photo elements for cleaner quote-only design
-    document.getElementById('photo-1').style.display = 'none';
-    document.getElementById('photo-2').style.display = 'none';
-    document.getElementById('photo-3').style.display = 'none';
-    
-    // Show second video section with Q&A
-    document.getElementById('video-2-section').style.display = 'block';
-    document.getElementById('video-2-heading').textContent = '🎥 Q&A with Ward Chairperson';
-    document.getElementById('second-video').src = 'https://drive.google.com/file/d/1Xaoxp4RjZSGPrWdDEGH2kR3u2YQEW5C6/preview';
-    
-    // Hide first and third video sections (showcase video covers the first one)
-    document.querySelector('.video-section').style.display = 'none';
-    document.getElementById('video-3-section').style.display = 'none';
-    
-    // Hide statistics section for ward office
-    document.getElementById('resident-stats').style.display = 'none';
-    
-    modal.style.display = 'block';
-    modal.classList.add('show');
-    document.getElementById('map').classList.add('map-with-panel');
-    setTimeout(() => {
-        map.invalidateSize();
-    }, 300);
-}
-
-// Function to hide/show navbar
-function hideNavbar() {
-    const navbar = document.getElementById('navbar');
-    navbar.classList.add('hidden');
-}
-
-function showNavbar() {
-    const navbar = document.getElementById('navbar');
-    navbar.classList.remove('hidden');
-}
-
-// Function to open popup with digital divide story
-function openPopup(house) {
-    document.getElementById('popup-title').textContent = house.title;
-    
-    // Update location information
-    document.getElementById('location-name').textContent = house.locationName || '';
-    document.getElementById('interview-count').textContent = house.interviewCount || '';
-    
-    // Update access level badge
-    const accessBadge = document.getElementById('access-badge');
-    const accessLevel = house.digitalAccess;
-    accessBadge.textContent = `${accessLevel.charAt(0).toUpperCase() + accessLevel.slice(1)} access`;
-    accessBadge.className = `badge ${house.digitalAccess}-access`;
-    
-    // Hide navbar when panel opens
-    hideNavbar();
-    
-    // Check if this is a foundation house
-    if (house.isFoundation) {
-        openFoundationPopup(house);
-        return;
-    }
-    
-    // Show resident content, hide foundation content
-    document.getElementById('resident-content').style.display = 'block';
-    document.getElementById('foundation-content').style.display = 'none';
-    document.getElementById('resident-stats').style.display = 'block';
-    
-    // Update profile section
-    document.getElementById('resident-headshot').src = house.profile?.headshot || 'https://via.placeholder.com/120x120/e2e8f0/64748b?text=Photo';
-    document.getElementById('resident-name').textContent = house.story.resident || 'Resident Name';
-    document.getElementById('resident-role').textContent = house.profile?.role || 'Community Member';
-    document.getElementById('resident-description').textContent = house.profile?.description || house.story.testimonial || '[Profile description to be added]';
-    
-    // Update photo collage
-    document.getElementById('photo-1').src = house.photos?.[0]?.image || 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Daily+Life+Photo';
-    document.getElementById('photo-2').src = house.photos?.[1]?.image || 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Technology+Photo';
-    document.getElementById('photo-3').src = house.photos?.[2]?.image || 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Community+Photo';
-    
-    document.getElementById('quote-1').textContent = house.photos?.[0]?.quote || house.story.quote || '"Living between tradition and technology"';
-    document.getElementById('quote-2').textContent = house.photos?.[1]?.quote || '"Digital tools change how we work and learn"';
-    document.getElementById('quote-3').textContent = house.photos?.[2]?.quote || '"Our community helps each other adapt"';
-    
-    // Update quote themes and icons for specific households
-    if (house.title === "Extended Family Home") {
-        // Update quote themes to match Sikha's content
-        document.querySelector('.quote-item:nth-child(1) .quote-theme').textContent = 'Online Shopping & Trust';
-        document.querySelector('.quote-item:nth-child(2) .quote-theme').textContent = 'Family Digital Teaching';
-        document.querySelector('.quote-item:nth-child(3) .quote-theme').textContent = 'Digital Agriculture';
-        
-        // Update quote icons to match themes
-        document.querySelector('.quote-item:nth-child(1) .quote-icon').textContent = '🛒';
-        document.querySelector('.quote-item:nth-child(2) .quote-icon').textContent = '👨‍👩‍👧‍👦';
-        document.querySelector('.quote-item:nth-child(3) .quote-icon').textContent = '🌱';
-    } else if (house.title === "Farming Crew Household") {
-        // Update quote themes to match Dhan Bahadur's content
-        document.querySelector('.quote-item:nth-child(1) .quote-theme').textContent = 'Learning Approach';
-        document.querySelector('.quote-item:nth-child(2) .quote-theme').textContent = 'News & Information';
-        document.querySelector('.quote-item:nth-child(3) .quote-theme').textContent = 'Daily Usage Pattern';
-        
-        // Update quote icons to match themes
-        document.querySelector('.quote-item:nth-child(1) .quote-icon').textContent = '📚';
-        document.querySelector('.quote-item:nth-child(2) .quote-icon').textContent = '📺';
-        document.querySelector('.quote-item:nth-child(3) .quote-icon').textContent = '⏰';
-    }
-    
-    // Handle video sections - hide for Extended Family Home and Farming Crew Household
-    if (house.title === "Extended Family Home" || house.title === "Farming Crew Household") {
-        // Hide all video sections for Extended Family Home
-        document.querySelector('.video-section').style.display = 'none';
-        document.getElementById('video-2-section').style.display = 'none';
-        document.getElementById('video-3-section').style.display = 'none';
-        // Also hide showcase video section
-        document.querySelector('.showcase-video-section').style.display = 'none';
-    } else {
-        // Show video for other houses
-        document.getElementById('video-1-heading').textContent = '🎥 Their Story';
-        const youtubeId = house.youtubeId || 'dQw4w9WgXcQ'; // Default placeholder
-        document.getElementById('youtube-video').src = `https://www.youtube.com/embed/${youtubeId}`;
-        
-        // Hide second and third video sections for household stories
-        document.getElementById('video-2-section').style.display = 'none';
-        document.getElementById('video-3-section').style.display = 'none';
-    }
-    
-    // Update digital statistics
-    document.getElementById('internet-speed').textContent = house.stats.internetSpeed || 'TBD';
-    document.getElementById('devices').textContent = house.stats.devices || 'TBD';
-    document.getElementById('monthly-cost').textContent = house.stats.monthlyDataCost || 'TBD';
-    document.getElementById('digital-skills').textContent = house.stats.digitalSkills || 'TBD';
-    document.getElementById('online-services').textContent = house.stats.onlineServices || 'TBD';
-    
-    modal.style.display = 'block';
-    modal.classList.add('show');
-    document.getElementById('map').classList.add('map-with-panel');
-    setTimeout(() => {
-        map.invalidateSize();
-    }, 300);
-}
-
-// Function to handle foundation-specific popup content
-function openFoundationPopup(house) {
-    const foundation = house.foundation;
+// Function to hide/show navbar
+function hideNavbar() {
+    const navbar = document.getElementById('navbar');
+    navbar.classList.add('hidden');
+}
+
+function showNavbar() {
+    const navbar = document.getElementById('navbar');
+    navbar.classList.remove('hidden');
+}
+
+// Function to handle foundation-specific popup content
+function openFoundationPopup(house) {
+    const foundation = house.foundation;
     
     // Hide resident content, show foundation content
     document.getElementById('resident-content').style.display = 'none';
@@ -2111,6 +2345,7 @@ function openFoundationPopup(house) {
 
 // Close modal when clicking X
 closeBtn.onclick = function() {
+    currentPopupLocation = null;
     modal.classList.remove('show');
     document.getElementById('map').classList.remove('map-with-panel');
     setTimeout(() => {
@@ -2161,7 +2396,7 @@ document.addEventListener('DOMContentLoaded', function() {
             map.setView([foundationHouse.lat, foundationHouse.lng], 16);
             // Open the foundation panel after a short delay for smooth transition
             setTimeout(() => {
-                openPopup(foundationHouse);
+                openLocationPopup(foundationHouse);
                 setActiveNavButton('nav-faq');
             }, 300);
         }
@@ -2179,6 +2414,23 @@ document.addEventListener('DOMContentLoaded', function() {
         setActiveNavButton('nav-stories');
     });
 
+    // Voices button - every quote as a browsable card
+    document.getElementById('nav-voices').addEventListener('click', function() {
+        openVoicesPanel();
+        setActiveNavButton('nav-voices');
+    });
+
+    // Filter button - show or hide the story filter panel
+    document.getElementById('nav-filter').addEventListener('click', toggleFilterPanel);
+    document.getElementById('filter-panel-close').addEventListener('click', toggleFilterPanel);
+    document.getElementById('filter-reset').addEventListener('click', resetStoryFilters);
+
+    // Themes button - browse quotes by theme across participants
+    document.getElementById('nav-themes').addEventListener('click', toggleThemeExplorer);
+    document.getElementById('theme-explorer-close').addEventListener('click', toggleThemeExplorer);
+    document.getElementById('theme-prev').addEventListener('click', () => stepThemeQuote(-1));
+    document.getElementById('theme-next').addEventListener('click', () => stepThemeQuote(1));
+
     // Statistics button - shows aggregated data
     document.getElementById('nav-statistics').addEventListener('click', function() {
         openStatisticsPanel();
@@ -2191,6 +2443,35 @@ document.addEventListener('DOMContentLoaded', function() {
         setActiveNavButton('nav-legend');
     });
 
+    // Map Info button - which boundary is on the map, attribution and disclaimer
+    document.getElementById('nav-map-info').addEventListener('click', function() {
+        openMapInfoPanel();
+        setActiveNavButton('nav-map-info');
+    });
+    document.getElementById('boundary-notice').addEventListener('click', function() {
+        openMapInfoPanel();
+        setActiveNavButton('nav-map-info');
+    });
+
+    // Open Data button - download the map data for GIS tools
+    document.getElementById('nav-data').addEventListener('click', function() {
+        openDataPanel();
+        setActiveNavButton('nav-data');
+    });
+
+    // Search box - full-text search across every story, the FAQ and area notes
+    setupStorySearch();
+
+    // Basemap switcher - satellite, streets or terrain
+    document.querySelectorAll('.basemap-btn').forEach(button => {
+        button.addEventListener('click', () => setBasemap(button.dataset.basemap));
+    });
+
+    // Language button - switch between English and Nepali
+    document.getElementById('nav-language').addEventListener('click', function() {
+        setLanguage(currentLanguage === 'en' ? 'ne' : 'en');
+    });
+
     // Reset View button - resets map view
     document.getElementById('nav-reset').addEventListener('click', function() {
         resetMapView();
@@ -2229,29 +2510,29 @@ function resetMapView() {
 function openAboutPanel() {
     // Create about content
     const aboutContent = {
-        title: "About This Project",
+        title: t('panel.about.title'),
         isCustomPanel: true,
         content: {
             header: {
-                title: "Digital Divide Research in Bhimdhunga",
-                subtitle: "Understanding lived experiences behind statistics"
+                title: t('panel.about.header'),
+                subtitle: t('panel.about.subtitle')
             },
             sections: [
                 {
-                    title: "Project Overview",
-                    content: "This interactive story map explores the digital divide across three communities in Bhimdhunga: Majhuwa, Thaple, and the Buspark area, located in Nagarjun Municipality Ward 8. Rather than presenting statistics alone, we showcase lived experiences of digital access through household interviews and video testimonials, revealing the human emotions and practical challenges behind the numbers."
+                    title: t('panel.about.overview'),
+                    content: t('panel.about.overviewText')
                 },
                 {
-                    title: "Research Objectives",
-                    content: "• Document lived experiences of digital self-efficacy and educational access barriers among Bhimdhunga residents<br><br>• Capture community perspectives on digital engagement challenges to inform evidence-based digital inclusion policies in rural Nepal<br><br>• Bridge academic research and public understanding through an interactive platform that makes digital divide realities accessible to diverse audiences"
+                    title: t('panel.about.objectives'),
+                    content: t('panel.about.objectivesText')
                 },
                 {
-                    title: "Methodology", 
-                    content: "Our team carried out four days of fieldwork (July 26, 29, 30, and 31, 2025) with 19 participants from various strata, following household interviews, spatial documentation of participant locations. This approach gathers community perspectives on digital engagement, education, and self-efficacy, as well as evidence-based suggestions for future digital inclusion policies in rural Nepal. The findings are presented through an interactive media platform that combines story maps, video testimonials, and immersive narratives to make digital divide realities more accessible to a wider audience."
+                    title: t('panel.about.methodology'), 
+                    content: t('panel.about.methodologyText')
                 },
                 {
-                    title: "Key Themes",
-                    content: "The research reveals critical patterns around <b>generational digital divides</b> (from elderly complete non-users to youth absorbed in mobile gaming), <b>urban-rural connectivity tensions </b>(proximity to Kathmandu yet persistent access barriers), <b>educational technology gaps</b> (online learning challenges during COVID-19), and <b>economic barriers to digital participation</b> (cost concerns and trust issues with digital financial services)."
+                    title: t('panel.about.themes'),
+                    content: t('panel.about.themesText')
                 }
             ]
         }
@@ -2263,12 +2544,12 @@ function openAboutPanel() {
 // Stories overview panel
 function openStoriesPanel() {
     const storiesContent = {
-        title: "Digital Stories & Journey Modes",
+        title: t('panel.stories.title'),
         isCustomPanel: true,
         content: {
             header: {
-                title: "Explore Digital Divide Stories",
-                subtitle: "Choose how you want to experience the stories"
+                title: t('panel.stories.header'),
+                subtitle: t('panel.stories.subtitle')
             },
             storyModes: true,
             houseList: houseData.filter(house => !house.isFoundation)
@@ -2278,6 +2559,68 @@ function openStoriesPanel() {
     openCustomPanel(storiesContent);
 }
 
+// Voices panel - a wall of every quote in the dataset
+function openVoicesPanel() {
+    const voicesContent = {
+        title: t('panel.voices.title'),
+        isCustomPanel: true,
+        content: {
+            header: {
+                title: t('panel.voices.header'),
+                subtitle: t('panel.voices.subtitle')
+            },
+            quoteWall: getAllQuotes()
+        }
+    };
+    
+    openCustomPanel(voicesContent);
+}
+
+// Every quote with who said it and where - location quotes (or the headline story quote) and area voices
+function getAllQuotes() {
+    const quotes = [];
+    
+    storyLocations.filter(location => !location.isFoundation).forEach(original => {
+        const location = localizeRecord('locations', original);
+        const participant = localizeRecord('participants', getParticipant(location.participantId));
+        const area = getLocationArea(original);
+        const texts = (location.quotes || []).length ? location.quotes : (location.story?.quote ? [{ text: location.story.quote }] : []);
+        
+        texts.forEach((quote, index) => {
+            const tags = original.quotes?.[index]?.tags || [];
+            quotes.push({
+                kind: 'location',
+                sourceId: original.id,
+                text: quote.text,
+                name: participant?.name || location.story?.resident || location.title,
+                headshot: participant?.headshot || 'photos/headshots/Community_Member.jpg',
+                age: participant?.age ? Number(participant.age) : null,
+                area: area || 'other',
+                themes: tags.length ? tags.map(tag => localizeRecord('themes', themeData.find(theme => theme.id === tag))?.label || tag) : (quote.theme ? [quote.theme] : []),
+                tags
+            });
+        });
+    });
+    
+    areaData.forEach(original => {
+        const area = localizeRecord('areas', original);
+        if (!area.story?.quote) return;
+        quotes.push({
+            kind: 'area',
+            sourceId: original.id,
+            text: area.story.quote,
+            name: area.story.resident || area.title,
+            headshot: 'photos/headshots/Community_Member.jpg',
+            age: null,
+            area: original.id,
+            themes: [],
+            tags: []
+        });
+    });
+    
+    return quotes;
+}
+
 // Statistics panel
 function openStatisticsPanel() {
     // Calculate aggregated statistics
@@ -2286,19 +2629,32 @@ function openStatisticsPanel() {
     const mediumAccess = houses.filter(house => house.digitalAccess === 'medium').length;
     const lowAccess = houses.filter(house => house.digitalAccess === 'low').length;
     
+    // Per-area breakdown from the polygon assignments
+    const areas = [...STORY_AREA_IDS, 'other'].map(id => {
+        const areaHouses = houses.filter(house => (getLocationArea(house) || 'other') === id);
+        return {
+            id,
+            total: areaHouses.length,
+            high: areaHouses.filter(house => house.digitalAccess === 'high').length,
+            medium: areaHouses.filter(house => house.digitalAccess === 'medium').length,
+            low: areaHouses.filter(house => house.digitalAccess === 'low').length
+        };
+    }).filter(area => area.total);
+    
     const statsContent = {
-        title: "Digital Access Statistics",
+        title: t('panel.statistics.title'),
         isCustomPanel: true,
         content: {
             header: {
-                title: "Aggregated Community Data",
-                subtitle: "Statistical overview of digital access in Bhimdhunga"
+                title: t('panel.statistics.header'),
+                subtitle: t('panel.statistics.subtitle')
             },
             stats: {
                 highAccess: highAccess,
                 mediumAccess: mediumAccess,
                 lowAccess: lowAccess,
-                total: houses.length
+                total: houses.length,
+                areas
             }
         }
     };
@@ -2309,23 +2665,23 @@ function openStatisticsPanel() {
 // Legend panel
 function openLegendPanel() {
     const legendContent = {
-        title: "Map Legend",
+        title: t('panel.legend.title'),
         isCustomPanel: true,
         content: {
             header: {
-                title: "Map Symbols & Colors",
-                subtitle: "Understanding the map interface"
+                title: t('panel.legend.header'),
+                subtitle: t('panel.legend.subtitle')
             },
             legend: [
-                { icon: "fa-house", color: "#22c55e", label: "High Digital Access", description: "Households with reliable internet and digital skills" },
-                { icon: "fa-house", color: "#fbbf24", label: "Medium Digital Access", description: "Households with some digital access but facing barriers" },
-                { icon: "fa-house", color: "#ef4444", label: "Low Digital Access", description: "Households with limited or no digital access" },
-                { icon: "fa-location-dot", color: "#dc2626", label: "All In Foundation", description: "Research organization headquarters" },
-                { icon: "fa-building", color: "#7c3aed", label: "Ward Office", description: "Government administrative center" },
-                { icon: "fa-graduation-cap", color: "#3b82f6", label: "School", description: "Educational institution" },
-                { icon: "fa-mug-hot", color: "#dc2626", label: "Khajaghar", description: "Traditional tea shops and community gathering places" },
-                { icon: "fa-shop", color: "#ea580c", label: "Local Shop", description: "Commercial establishments" },
-                { icon: "fa-comments", color: "#6366f1", label: "Street Interviews", description: "Public space interview locations" }
+                { icon: "fa-house", color: "#22c55e", label: t('legend.high'), description: t('legend.highText') },
+                { icon: "fa-house", color: "#fbbf24", label: t('legend.medium'), description: t('legend.mediumText') },
+                { icon: "fa-house", color: "#ef4444", label: t('legend.low'), description: t('legend.lowText') },
+                { icon: "fa-location-dot", color: "#dc2626", label: t('legend.foundation'), description: t('legend.foundationText') },
+                { icon: "fa-building", color: "#7c3aed", label: t('legend.wardOffice'), description: t('legend.wardOfficeText') },
+                { icon: "fa-graduation-cap", color: "#3b82f6", label: t('legend.school'), description: t('legend.schoolText') },
+                { icon: "fa-mug-hot", color: "#dc2626", label: t('legend.khajaghar'), description: t('legend.khajagharText') },
+                { icon: "fa-shop", color: "#ea580c", label: t('legend.shop'), description: t('legend.shopText') },
+                { icon: "fa-comments", color: "#6366f1", label: t('legend.streetInterviews'), description: t('legend.streetInterviewsText') }
             ]
         }
     };
@@ -2333,10 +2689,96 @@ function openLegendPanel() {
     openCustomPanel(legendContent);
 }
 
+// Map info panel - boundary source, attribution and disclaimer
+function openMapInfoPanel() {
+    const source = boundarySource;
+    let boundaryText;
+    if (!source) {
+        boundaryText = t('boundary.loading');
+    } else if (source.id === 'fallback') {
+        boundaryText = `<div class="boundary-warning"><i class="fas fa-triangle-exclamation"></i> ${t('boundary.fallbackWarning')}</div>`;
+    } else {
+        const info = BOUNDARY_SOURCE_INFO[source.id];
+        const details = [
+            `${t('boundary.source')}: <a href="${info.url}" target="_blank" rel="noopener">${info.name}</a> (${t(`boundary.kind.${source.id}`)})`,
+            source.version ? `${t('boundary.version')}: ${source.version}` : '',
+            source.license ? `${t('boundary.license')}: ${source.license}` : '',
+            `${t('boundary.retrieved')}: ${source.retrieved ? localizeDigits(source.retrieved) : t('boundary.unknown')}`
+        ].filter(Boolean);
+        boundaryText = `${details.join('<br>')}<br><br>${t('boundary.verified')}`;
+    }
+    
+    const mapInfoContent = {
+        title: t('panel.mapInfo.title'),
+        isCustomPanel: true,
+        content: {
+            header: {
+                title: t('panel.mapInfo.header'),
+                subtitle: t('panel.mapInfo.subtitle')
+            },
+            sections: [
+                {
+                    title: t('boundary.title'),
+                    content: boundaryText
+                },
+                {
+                    title: t('panel.mapInfo.basemap'),
+                    content: t('panel.mapInfo.basemapText', { provider: BASEMAPS[currentBasemap].provider })
+                },
+                {
+                    title: t('panel.mapInfo.disclaimer'),
+                    content: t('panel.mapInfo.disclaimerText')
+                }
+            ]
+        }
+    };
+    
+    openCustomPanel(mapInfoContent);
+}
+
+// Open data panel - downloads for partners working in QGIS and Google Earth
+function openDataPanel() {
+    const dataContent = {
+        title: t('panel.data.title'),
+        isCustomPanel: true,
+        content: {
+            header: {
+                title: t('panel.data.header'),
+                subtitle: t('panel.data.subtitle')
+            },
+            sections: [
+                {
+                    title: "GeoJSON",
+                    content: `${t('panel.data.geojsonText')}<br><br><button class="data-download-btn" onclick="downloadGeoJSON()"><i class="fa-solid fa-download"></i> stories.geojson</button>`
+                },
+                {
+                    title: "KML",
+                    content: `${t('panel.data.kmlText')}<br><br><button class="data-download-btn" onclick="downloadKML()"><i class="fa-solid fa-download"></i> stories.kml</button>`
+                },
+                {
+                    title: t('panel.data.bundle'),
+                    content: `${t('panel.data.bundleText')}<br><br><button class="data-download-btn" onclick="downloadOpenDataBundle()"><i class="fa-solid fa-file-zipper"></i> bhimdhunga-open-data.zip</button>`
+                },
+                {
+                    title: t('panel.data.license'),
+                    content: t('panel.data.licenseText')
+                },
+                {
+                    title: t('offline.title'),
+                    content: `${t('offline.text')}<br><br><button class="data-download-btn" onclick="downloadForOffline()"><i class="fa-solid fa-cloud-arrow-down"></i> ${t('offline.button')}</button><p id="offline-status" class="offline-status">${getOfflineStatusText()}</p>`
+                }
+            ]
+        }
+    };
+    
+    openCustomPanel(dataContent);
+}
+
 // Generic function to open custom panels
 function openCustomPanel(content) {
     // Hide navbar
     hideNavbar();
+    currentPopupLocation = null;
     
     // Hide resident and foundation content
     document.getElementById('resident-content').style.display = 'none';
@@ -2389,54 +2831,31 @@ function openCustomPanel(content) {
                 
                 <!-- Story Journey Modes -->
                 <div class="story-modes-section">
-                    <h4>🎯 Guided Story Journeys</h4>
-                    <p class="modes-intro">Experience the digital divide through thematic lenses</p>
+                    <h4>${t('panel.stories.guided')}</h4>
+                    <p class="modes-intro">${t('panel.stories.modesIntro')}</p>
                     
                     <div class="story-mode-cards">
-                        <div class="story-mode-card age-journey" onclick="startAgeBasedJourney()">
-                            <div class="mode-icon">
-                                <i class="fas fa-clock"></i>
-                            </div>
-                            <div class="mode-content">
-                                <h3>🕰️ Age-Based Journey</h3>
-                                <div class="mode-description">
-                                    <p>Experience how digital adoption varies across generations, from elderly complete non-users to digital natives.</p>
-                                </div>
-                                <button class="mode-start-btn">Start Journey</button>
-                            </div>
-                        </div>
-                        
-                        <div class="story-mode-card efficacy-journey">
-                            <div class="mode-icon">
-                                <i class="fas fa-chart-line"></i>
-                            </div>
-                            <div class="mode-content">
-                                <h3>🎯 Self-Efficacy Journey</h3>
-                                <div class="mode-description">
-                                    <p>Explore how people's beliefs about their digital abilities shape their technology use and adaptation.</p>
-                                </div>
-                                <div class="work-in-progress">
-                                    <i class="fas fa-tools"></i>
-                                    <span>Work in Progress</span>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <div class="story-mode-card covid-journey">
-                            <div class="mode-icon">
-                                <i class="fas fa-virus"></i>
-                            </div>
-                            <div class="mode-content">
-                                <h3>🦠 Covid Disruption</h3>
-                                <div class="mode-description">
-                                    <p>Discover how the pandemic accelerated digital adoption and revealed new forms of digital inequality.</p>
+                        ${journeyOrder.map(id => localizeRecord('journeys', journeys[id])).filter(journey => journey.card).map(journey => `
+                            <div class="story-mode-card ${journey.card.className}"${journey.status === 'ready' ? ` onclick="startJourney('${journey.id}')"` : ''}>
+                                <div class="mode-icon">
+                                    <i class="fas ${journey.card.icon}"></i>
                                 </div>
-                                <div class="work-in-progress">
-                                    <i class="fas fa-tools"></i>
-                                    <span>Work in Progress</span>
+                                <div class="mode-content">
+                                    <h3>${journey.card.title}</h3>
+                                    <div class="mode-description">
+                                        <p>${journey.card.description}</p>
+                                    </div>
+                                    ${journey.status === 'ready' ? `
+                                        <button class="mode-start-btn">${t('panel.stories.start')}</button>
+                                    ` : `
+                                        <div class="work-in-progress">
+                                            <i class="fas fa-tools"></i>
+                                            <span>${t('panel.stories.wip')}</span>
+                                        </div>
+                                    `}
                                 </div>
                             </div>
-                        </div>
+                        `).join('')}
                     </div>
                 </div>
                 
@@ -2444,7 +2863,7 @@ function openCustomPanel(content) {
                 <div class="manual-note-section">
                     <div class="manual-note">
                         <i class="fas fa-info-circle"></i>
-                        <p>For manual exploration, simply click on any house marker directly on the map to read individual stories at your own pace.</p>
+                        <p>${t('panel.stories.manualNote')}</p>
                     </div>
                 </div>
             `;
@@ -2456,17 +2875,52 @@ function openCustomPanel(content) {
                     <p class="custom-subtitle">${content.content.header.subtitle}</p>
                 </div>
                 <div class="stories-grid">
-                    ${content.content.houseList.map(house => `
-                        <div class="story-card" onclick="openPopup(houseData.find(h => h.id === ${house.id}))">
-                            <div class="story-access-badge ${house.digitalAccess}">${house.digitalAccess.charAt(0).toUpperCase() + house.digitalAccess.slice(1)} access</div>
+                    ${content.content.houseList.map(house => localizeRecord('locations', house)).map(house => `
+                        <div class="story-card" onclick="openLocationPopup(getStoryLocation('${house.id}'))">
+                            <div class="story-access-badge ${house.digitalAccess}">${t(`access.${house.digitalAccess}`)}</div>
                             <h4>${house.title}</h4>
-                            <p>${house.story?.quote || 'Click to read their story'}</p>
-                            <span class="story-resident">${house.story?.resident || 'Community Member'}</span>
+                            <p>${house.story?.quote || t('panel.stories.readStory')}</p>
+                            <span class="story-resident">${house.story?.resident || t('popup.communityMember')}</span>
                         </div>
                     `).join('')}
                 </div>
             `;
         }
+    } else if (content.content.quoteWall) {
+        // Voices panel - the cards are drawn by renderQuoteWall so sorting and filtering can redraw them
+        const quotes = content.content.quoteWall;
+        const areas = [...new Set(quotes.map(quote => quote.area))];
+        customContent.innerHTML = `
+            <div class="custom-header">
+                <h3>${content.content.header.title}</h3>
+                <p class="custom-subtitle">${content.content.header.subtitle}</p>
+            </div>
+            <div class="quote-wall-controls">
+                <input type="search" id="quote-wall-search" placeholder="${t('panel.voices.search')}">
+                <select id="quote-wall-area">
+                    <option value="">${t('panel.voices.allAreas')}</option>
+                    ${areas.map(area => `<option value="${area}">${getFilterValueLabel('area', area)}</option>`).join('')}
+                </select>
+                <select id="quote-wall-theme">
+                    <option value="">${t('panel.voices.allThemes')}</option>
+                    ${themeData.map(theme => `<option value="${theme.id}">${escapeHtml(localizeRecord('themes', theme).label)}</option>`).join('')}
+                </select>
+                <select id="quote-wall-sort">
+                    <option value="dataset">${t('panel.voices.sortDataset')}</option>
+                    <option value="name">${t('panel.voices.sortName')}</option>
+                    <option value="age">${t('panel.voices.sortAge')}</option>
+                    <option value="area">${t('panel.voices.sortArea')}</option>
+                    <option value="theme">${t('panel.voices.sortTheme')}</option>
+                </select>
+            </div>
+            <p id="quote-wall-count" class="quote-wall-count"></p>
+            <div id="quote-wall-grid" class="quote-wall-grid"></div>
+        `;
+        
+        ['quote-wall-search', 'quote-wall-area', 'quote-wall-theme', 'quote-wall-sort'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => renderQuoteWall(quotes));
+        });
+        renderQuoteWall(quotes);
     } else if (content.content.stats) {
         // Statistics panel
         const stats = content.content.stats;
@@ -2477,21 +2931,44 @@ function openCustomPanel(content) {
             </div>
             <div class="stats-overview">
                 <div class="stat-card-large high">
-                    <div class="stat-number">${stats.highAccess}</div>
-                    <div class="stat-label">High Access Households</div>
-                    <div class="stat-percentage">${Math.round((stats.highAccess/stats.total)*100)}%</div>
+                    <div class="stat-number">${formatNumber(stats.highAccess)}</div>
+                    <div class="stat-label">${t('panel.statistics.high')}</div>
+                    <div class="stat-percentage">${formatNumber(Math.round((stats.highAccess/stats.total)*100))}%</div>
                 </div>
                 <div class="stat-card-large medium">
-                    <div class="stat-number">${stats.mediumAccess}</div>
-                    <div class="stat-label">Medium Access Households</div>
-                    <div class="stat-percentage">${Math.round((stats.mediumAccess/stats.total)*100)}%</div>
+                    <div class="stat-number">${formatNumber(stats.mediumAccess)}</div>
+                    <div class="stat-label">${t('panel.statistics.medium')}</div>
+                    <div class="stat-percentage">${formatNumber(Math.round((stats.mediumAccess/stats.total)*100))}%</div>
                 </div>
                 <div class="stat-card-large low">
-                    <div class="stat-number">${stats.lowAccess}</div>
-                    <div class="stat-label">Low Access Households</div>
-                    <div class="stat-percentage">${Math.round((stats.lowAccess/stats.total)*100)}%</div>
+                    <div class="stat-number">${formatNumber(stats.lowAccess)}</div>
+                    <div class="stat-label">${t('panel.statistics.low')}</div>
+                    <div class="stat-percentage">${formatNumber(Math.round((stats.lowAccess/stats.total)*100))}%</div>
                 </div>
             </div>
+            <table class="area-stats-table">
+                <caption>${t('panel.statistics.byArea')}</caption>
+                <thead>
+                    <tr>
+                        <th>${t('filter.area')}</th>
+                        <th>${t('panel.statistics.households')}</th>
+                        <th>${t('filter.access.high')}</th>
+                        <th>${t('filter.access.medium')}</th>
+                        <th>${t('filter.access.low')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stats.areas.map(area => `
+                        <tr>
+                            <td>${getFilterValueLabel('area', area.id)}</td>
+                            <td>${formatNumber(area.total)}</td>
+                            <td>${formatNumber(area.high)}</td>
+                            <td>${formatNumber(area.medium)}</td>
+                            <td>${formatNumber(area.low)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         `;
     } else if (content.content.legend) {
         // Legend panel
@@ -2558,82 +3035,41 @@ let progressionTimer = null;
 let progressionCountdown = 15;
 let isPaused = false;
 
-// Journey definitions with thematic bridges
-const journeyModes = {
-    'age-journey': {
-        name: 'Age-Based Journey',
-        theme: 'From Elderly to Digital Native',
-        description: 'Experience how digital adoption varies across generations, following the Douglas Adams technology framework.',
-        locations: [
-            { 
-                type: 'street_interview', 
-                name: 'Street Interview 3', 
-                participant: 'Maili Tamang',
-                videoFile: 'Maili_Tamang.mp4',
-                ageGroup: 'Elderly (Complete Non-user)',
-                bridge: "We begin with complete digital avoidance - a choice to remain disconnected from technologies that feel foreign and threatening..."
-            },
-            { 
-                type: 'khajaghar', 
-                name: 'Majuwa Khajaghar', 
-                participant: 'Sunita Tamang',
-                videoFile: 'Sunita_Tamang.mp4',
-                ageGroup: 'Middle-age (Learning Tibetan Online)',
-                bridge: "Moving to selective adoption - technology becomes useful when it serves cultural values and personal meaning..."
-            },
-            { 
-                type: 'school', 
-                participant: 'Principal',
-                videoFile: 'Principal.mp4',
-                ageGroup: 'Late Adopter (Learned at 40)',
-                bridge: "Professional necessity drives learning - adult acquisition of digital skills through workplace requirements..."
-            },
-            { 
-                type: 'khajaghar', 
-                name: 'Thaple Khajaghar', 
-                participant: 'Aman Tamang',
-                videoFile: 'Aman_Tamang.mp4',
-                ageGroup: 'Digital Native (17 years old)',
-                bridge: "Finally, we meet those for whom technology is natural - digital natives who bridge traditional and digital worlds..."
-            }
-        ]
-    },
-    'efficacy-spectrum': {
-        name: 'Self-Efficacy Spectrum',
-        theme: 'From Complete Avoidance to High Confidence',
-        description: 'Journey through different levels of digital confidence and self-efficacy, revealing the third-level digital divide.',
-        locations: [
-            { 
-                type: 'street_interview', 
-                name: 'Street Interview 3', 
-                participant: 'Maili Tamang', 
-                efficacy: 'Complete Avoidance',
-                bridge: "Starting with complete avoidance - when digital technologies feel too risky or complex to attempt..."
-            },
-            { 
-                type: 'house', 
-                id: 3, 
-                participant: 'Tej Lama', 
-                efficacy: 'Low Persistence',
-                bridge: "Moving to low persistence - 'if I can't learn it, I leave it' - limited tolerance for digital difficulty..."
-            },
-            { 
-                type: 'khajaghar', 
-                name: 'Majuwa Khajaghar', 
-                participant: 'Sunita Tamang', 
-                efficacy: 'Selective Confidence',
-                bridge: "Developing selective confidence - success in specific digital domains like cultural learning builds targeted expertise..."
-            },
-            { 
-                type: 'khajaghar', 
-                name: 'Thaple Khajaghar', 
-                participant: 'Aman Tamang', 
-                efficacy: 'High Confidence',
-                bridge: "Reaching high confidence - digital native integration where technology becomes a natural extension of capability..."
+// Journey definitions (stops, bridges, intro video, unlock rules, completion) live in data/journeys/
+// so a new thematic journey is a data file - the index lists them in Stories panel order
+const JOURNEY_INDEX_URL = 'data/journeys/index.json';
+
+let journeys = {};
+let journeyOrder = [];
+
+// Load every journey file listed in the journey index
+async function loadJourneys() {
+    try {
+        const response = await fetch(JOURNEY_INDEX_URL);
+        if (!response.ok) {
+            throw new Error(`Journey index fetch failed: ${response.status}`);
+        }
+        
+        const index = await response.json();
+        const journeyFiles = await Promise.all(index.journeys.map(async file => {
+            const journeyResponse = await fetch(`data/journeys/${file}`);
+            if (!journeyResponse.ok) {
+                throw new Error(`Journey ${file} fetch failed: ${journeyResponse.status}`);
             }
-        ]
+            return journeyResponse.json();
+        }));
+        
+        journeys = {};
+        journeyOrder = [];
+        journeyFiles.forEach(journey => {
+            journeys[journey.id] = journey;
+            journeyOrder.push(journey.id);
+        });
+        console.log(`Loaded ${journeyOrder.length} journeys:`, journeyOrder.join(', '));
+    } catch (error) {
+        console.error('Error loading journeys, guided stories will be unavailable:', error);
     }
-};
+}
 
 // Mode switching functionality (now triggered from Stories panel)
 
@@ -2652,8 +3088,8 @@ function switchMode(mode) {
 }
 
 function startGuidedJourney(mode) {
-    console.log('startGuidedJourney called with mode:', mode);
-    const journey = journeyModes[mode];
+    console.log('startGuidedJourney called with journey:', mode);
+    const journey = journeys[mode];
     console.log('Found journey:', journey);
     
     if (!journey) {
@@ -2673,9 +3109,15 @@ function startGuidedJourney(mode) {
     goToStory(0);
 }
 
-// New journey launcher functions for the Stories panel
-function startAgeBasedJourney() {
-    console.log('Starting Progressive Discovery Age Journey');
+// Journey launcher for the Stories panel - discovery journeys run as progressive story mode
+function startJourney(journeyId) {
+    const journey = journeys[journeyId];
+    if (!journey) {
+        console.error('No journey found for id:', journeyId);
+        return;
+    }
+    
+    console.log('Starting journey:', journey.name);
     // Close the stories panel modal first
     const modal = document.getElementById('popup-modal');
     if (modal) {
@@ -2687,15 +3129,19 @@ function startAgeBasedJourney() {
         }, 300);
     }
     
-    // Initialize progressive discovery story mode
     setTimeout(() => {
-        initializeProgressiveStoryMode();
+        if (journey.mode === 'discovery') {
+            initializeProgressiveStoryMode(journeyId);
+        } else {
+            startGuidedJourney(journeyId);
+        }
     }, 500);
 }
 
 // Function to play the Age intro video
 function playAgeIntroVideo() {
     console.log('playAgeIntroVideo called');
+    const journey = journeys['age-discovery'];
     const videoOverlay = document.getElementById('cinematic-video-overlay');
     const cinematicVideo = document.getElementById('cinematic-video');
     const skipButton = document.getElementById('skip-video');
@@ -2706,7 +3152,7 @@ function playAgeIntroVideo() {
     }
     
     // Update video source
-    cinematicVideo.src = 'video/intro/Age intro.mp4';
+    cinematicVideo.src = journey.introVideo;
     console.log('Video source set to:', cinematicVideo.src);
     
     // Show video overlay
@@ -2779,32 +3225,13 @@ function playAgeIntroVideo() {
             
             console.log('About to start guided journey with age-journey mode');
             
-            // CORRECT APPROACH: Use existing Street Interview 3 popup (with video-first redesign)
-            console.log('Opening existing Street Interview 3 popup for Maili Tamang');
-            openStreetInterviewPopup({name: 'Street Interview 3'});
+            // CORRECT APPROACH: Use the first stop's existing popup (with video-first redesign)
+            console.log('Opening popup for first journey stop:', journey.stops[0].location);
+            openLocationPopup(getStoryLocation(journey.stops[0].location));
         }, 500);
     }
 }
 
-function startSelfEfficacyJourney() {
-    console.log('Starting Self-Efficacy Journey');
-    // Close the stories panel modal first
-    const modal = document.getElementById('popup-modal');
-    const closeButton = document.querySelector('.close');
-    if (modal && closeButton) {
-        modal.classList.remove('show');
-        document.getElementById('map').classList.remove('map-with-panel');
-        setTimeout(() => {
-            modal.style.display = 'none';
-            map.invalidateSize();
-        }, 300);
-    }
-    // Start the self-efficacy journey mode
-    setTimeout(() => {
-        startGuidedJourney('efficacy-spectrum');
-    }, 500);
-}
-
 function showProgressionPanel(journey) {
     console.log('showProgressionPanel called with journey:', journey);
     const panel = document.getElementById('auto-progression-panel');
@@ -2821,8 +3248,8 @@ function showProgressionPanel(journey) {
     const totalStoriesEl = document.getElementById('total-stories');
     const currentThemeEl = document.getElementById('current-story-theme');
     
-    if (totalStoriesEl) totalStoriesEl.textContent = journey.locations.length;
-    if (currentThemeEl) currentThemeEl.textContent = journey.theme;
+    if (totalStoriesEl) totalStoriesEl.textContent = formatNumber(journey.stops.length);
+    if (currentThemeEl) currentThemeEl.textContent = localizeRecord('journeys', journey).theme;
     
     console.log('About to call updateProgressDisplay');
     updateProgressDisplay();
@@ -2838,15 +3265,15 @@ function hideProgressionPanel() {
 }
 
 function goToStory(index) {
-    const journey = journeyModes[currentMode];
-    if (!journey || index >= journey.locations.length) {
+    const journey = journeys[currentMode];
+    if (!journey || index >= journey.stops.length) {
         completeJourney();
         return;
     }
     
     // Show thematic bridge if moving to a new story (not the first one)
     if (index > 0 && currentStoryIndex !== index) {
-        showThematicBridge(journey.locations[index], () => {
+        showThematicBridge(journey.stops[index], () => {
             proceedToStory(index);
         });
     } else {
@@ -2855,27 +3282,28 @@ function goToStory(index) {
 }
 
 function proceedToStory(index) {
-    const journey = journeyModes[currentMode];
+    const journey = journeys[currentMode];
     currentStoryIndex = index;
-    const location = journey.locations[index];
+    const stop = journey.stops[index];
     
     updateProgressDisplay();
     
     // Animate to location first, then play participant video
-    animateToLocation(location, () => {
+    animateToLocation(stop, () => {
         // After arriving at location, play the participant video
-        playParticipantVideo(location);
+        playParticipantVideo(stop);
     });
 }
 
-function showThematicBridge(location, callback) {
+function showThematicBridge(stop, callback) {
     const overlay = document.getElementById('thematic-bridge-overlay');
     const progressFill = document.getElementById('bridge-progress-fill');
     const timer = document.getElementById('bridge-timer');
     
     // Update bridge content
-    document.getElementById('bridge-title').textContent = `Next: ${location.participant}`;
-    document.getElementById('bridge-text').textContent = location.bridge;
+    const participant = localizeRecord('participants', getParticipant(stop.participant));
+    document.getElementById('bridge-title').textContent = t('bridge.next', { name: participant.name });
+    document.getElementById('bridge-text').textContent = localizeStop(journeys[currentMode], stop).bridge;
     
     // Show overlay
     overlay.style.display = 'flex';
@@ -2898,52 +3326,28 @@ function showThematicBridge(location, callback) {
     }, 1000);
 }
 
-function animateToLocation(location, callback) {
-    let coords, openFunction;
-    
-    switch (location.type) {
-        case 'house':
-            const house = houseData.find(h => h.id === location.id);
-            coords = [house.lat, house.lng];
-            openFunction = () => openPopup(house);
-            break;
-        case 'school':
-            coords = [27.724667, 85.228028];
-            openFunction = () => openSchoolPopup();
-            break;
-        case 'street_interview':
-            if (location.name === 'Street Interview 3') {
-                // Street Interview 3 coordinates (Maili Tamang)
-                coords = [27.726789, 85.240472];
-                openFunction = () => openStreetInterviewPopup({name: 'Street Interview 3'});
-            }
-            break;
-        case 'khajaghar':
-            if (location.name === 'Majuwa Khajaghar') {
-                coords = [27.724592, 85.224491];
-                openFunction = () => openKhajagharPopup({name: 'Majuwa Khajaghar', lat: 27.724592, lng: 85.224491});
-            } else if (location.name === 'Thaple Khajaghar') {
-                coords = [27.739199, 85.236208];
-                openFunction = () => openKhajagharPopup({name: 'Thaple Khajaghar', lat: 27.739199, lng: 85.236208});
-            }
-            break;
+function animateToLocation(stop, callback) {
+    const record = getStoryLocation(stop.location);
+    if (!record) {
+        console.warn('Journey location not found in story dataset:', stop.location);
+        return;
     }
     
-    if (coords) {
-        map.flyTo(coords, 16, {
-            animate: true,
-            duration: 2
-        });
-        
-        setTimeout(() => {
-            // Call callback if provided, otherwise use original openFunction
-            if (callback) {
-                callback();
-            } else {
-                openFunction();
-            }
-        }, 2500);
-    }
+    const coords = [record.lat, record.lng];
+    
+    map.flyTo(coords, 16, {
+        animate: true,
+        duration: 2
+    });
+    
+    setTimeout(() => {
+        // Call callback if provided, otherwise open the location's panel
+        if (callback) {
+            callback();
+        } else {
+            openLocationPopup(record);
+        }
+    }, 2500);
 }
 
 // Helper function to show unmute button when video plays muted
@@ -3044,28 +3448,29 @@ function removeVideoButtons(overlay) {
 }
 
 // Function to play participant-specific video during guided journey using side panel
-function playParticipantVideo(location) {
-    console.log('Playing video for participant:', location.participant);
-    console.log('Location object:', location);
+function playParticipantVideo(stop) {
+    const participant = localizeRecord('participants', getParticipant(stop.participant));
+    const localStop = localizeStop(journeys[currentMode], stop);
+    console.log('Playing video for participant:', participant.name);
+    console.log('Journey stop:', stop);
     
-    // Construct video path - use explicit videoFile if available, otherwise construct from participant name
-    const videoPath = location.videoFile 
-        ? `video/participants/${location.videoFile}`
-        : `video/participants/${location.participant.replace(/\s+/g, '_')}.mp4`;
+    // Journey videos are the participant's own recordings from the registry
+    const video = participant.videos[0];
     
     // Create participant content for side panel
     const participantContent = {
-        title: `${location.participant}'s Story`,
-        location: location.name || location.type,
-        ageGroup: location.ageGroup || location.efficacy,
+        title: t('guided.story', { name: participant.name }),
+        location: localStop.label || localizeRecord('locations', getStoryLocation(stop.location))?.title || '',
+        ageGroup: localStop.subtitle || participant.ageGroup,
         story: {
-            resident: location.participant,
-            quote: location.bridge || `Watch ${location.participant}'s story about their digital experiences.`
+            resident: participant.name,
+            quote: localStop.bridge || t('guided.watch', { name: participant.name })
         },
         youtubeId: null, // We'll use local video instead
-        localVideo: videoPath,
+        localVideo: video?.url,
+        videoTitle: video?.title,
         isGuidedJourney: true,
-        participant: location.participant
+        participantId: participant.id
     };
     
     console.log('Participant content being passed:', participantContent);
@@ -3100,6 +3505,8 @@ function clearModalContent() {
     // Remove any local video elements
     const existingLocalVideo = document.getElementById('local-video');
     if (existingLocalVideo) {
+        existingLocalVideo.parentNode.querySelector('.caption-controls')?.remove();
+        existingLocalVideo.parentNode.querySelector('.video-transcript')?.remove();
         existingLocalVideo.remove();
     }
     
@@ -3121,6 +3528,7 @@ function clearModalContent() {
 function openGuidedStoryPanel(content) {
     console.log('Opening guided story panel for:', content.title);
     console.log('Full content object received:', content);
+    currentPopupLocation = null;
     
     // Ensure modal is properly reset
     const modal = document.getElementById('popup-modal');
@@ -3161,10 +3569,9 @@ function openGuidedStoryPanel(content) {
         // CRITICAL: Explicit content section management
         console.log('Managing content sections visibility...');
         
-        // Highlight the active marker (Street Interview 3 for Maili Tamang)
-        if (content.story.resident === 'Maili Tamang') {
-            highlightActiveMarker('street_interview_3');
-        }
+        // Highlight the participant's marker
+        const participant = getParticipant(content.participantId);
+        highlightActiveMarker(participant.location);
         
         // Hide ALL other content sections first
         document.getElementById('foundation-content').style.display = 'none';
@@ -3183,40 +3590,39 @@ function openGuidedStoryPanel(content) {
         
         // Set up profile section
         document.getElementById('resident-name').textContent = content.story.resident;
-        document.getElementById('resident-role').textContent = content.ageGroup || 'Community Member';
+        document.getElementById('resident-role').textContent = content.ageGroup || t('popup.communityMember');
         document.getElementById('resident-description').textContent = content.story.quote;
         
         // Set up headshot
-        const headshotPath = getHeadshotPath(content.story.resident);
-        document.getElementById('resident-headshot').src = headshotPath;
+        document.getElementById('resident-headshot').src = participant.headshot;
         
         // Set up photo section with lifestyle photos (not headshots)
         const photoSection = document.querySelector('.photo-collage-section');
-        photoSection.style.display = 'block';
+        if (photoSection) photoSection.style.display = 'block';
         
         // Generate lifestyle photos for this participant
-        const participant = content.participant || content.story.resident;
+        const photoPrefix = participant.name.replace(/\s+/g, '_');
         const lifestylePhotos = [
             {
-                image: `photos/lifestyle/${participant.replace(/\s+/g, '_')}_1.jpg`,
-                quote: "Daily life and community engagement"
+                image: `photos/lifestyle/${photoPrefix}_1.jpg`,
+                quote: t('guided.photo.daily')
             },
             {
-                image: `photos/lifestyle/${participant.replace(/\s+/g, '_')}_2.jpg`, 
-                quote: "Technology use in context"
+                image: `photos/lifestyle/${photoPrefix}_2.jpg`, 
+                quote: t('guided.photo.technology')
             },
             {
-                image: `photos/lifestyle/${participant.replace(/\s+/g, '_')}_3.jpg`,
-                quote: "Community and family connections"
+                image: `photos/lifestyle/${photoPrefix}_3.jpg`,
+                quote: t('guided.photo.community')
             }
         ];
         
         // Update photo grid with lifestyle photos
-        const photoGrid = photoSection.querySelector('.photo-collage-grid');
+        const photoGrid = photoSection?.querySelector('.photo-collage-grid');
         if (photoGrid) {
             photoGrid.innerHTML = lifestylePhotos.map((photo, index) => `
                 <div class="collage-item">
-                    <img src="${photo.image}" alt="${participant} lifestyle photo ${index + 1}" />
+                    <img src="${escapeHtml(photo.image)}" alt="${escapeHtml(participant.name)} lifestyle photo ${index + 1}" />
                     <div class="photo-quote">
                         <p>${photo.quote}</p>
                     </div>
@@ -3229,12 +3635,8 @@ function openGuidedStoryPanel(content) {
         const youtubeVideo = document.getElementById('youtube-video');
         
         if (content.localVideo) {
-            // Set video heading based on participant - special case for Maili Tamang
-            if (content.story.resident === 'Maili Tamang') {
-                document.getElementById('video-1-heading').textContent = '🎥 Perception of Mobile Phones - Maili Tamang';
-            } else {
-                document.getElementById('video-1-heading').textContent = `🎥 ${content.story.resident}'s Story`;
-            }
+            // Set video heading from the participant's recording
+            document.getElementById('video-1-heading').textContent = `🎥 ${content.videoTitle || `${content.story.resident}'s Story`}`;
             
             // Replace YouTube embed with local video
             youtubeVideo.style.display = 'none';
@@ -3257,6 +3659,7 @@ function openGuidedStoryPanel(content) {
             localVideoElement.style.display = 'block';
             localVideoElement.src = content.localVideo;
             localVideoElement.muted = false;
+            attachCaptions(localVideoElement, content.localVideo);
             
             // Auto-play the video
             localVideoElement.play().catch(e => {
@@ -3358,19 +3761,19 @@ function addContinueButton() {
 }
 
 function updateProgressDisplay() {
-    const journey = journeyModes[currentMode];
-    const location = journey.locations[currentStoryIndex];
+    const journey = journeys[currentMode];
+    const stop = journey.stops[currentStoryIndex];
     
-    document.getElementById('current-story-num').textContent = currentStoryIndex + 1;
-    document.getElementById('current-story-title').textContent = location.participant;
+    document.getElementById('current-story-num').textContent = formatNumber(currentStoryIndex + 1);
+    document.getElementById('current-story-title').textContent = localizeRecord('participants', getParticipant(stop.participant)).name;
     
     // Update progress bar
-    const progressPercent = ((currentStoryIndex + 1) / journey.locations.length) * 100;
+    const progressPercent = ((currentStoryIndex + 1) / journey.stops.length) * 100;
     document.getElementById('progress-fill').style.width = progressPercent + '%';
     
     // Update control buttons
     document.getElementById('prev-story-btn').disabled = currentStoryIndex === 0;
-    document.getElementById('next-story-btn').disabled = currentStoryIndex === journey.locations.length - 1;
+    document.getElementById('next-story-btn').disabled = currentStoryIndex === journey.stops.length - 1;
 }
 
 function startCountdownTimer() {
@@ -3428,10 +3831,10 @@ function togglePause() {
     const btn = document.getElementById('pause-progression-btn');
     
     if (isPaused) {
-        btn.innerHTML = '<i class="fas fa-play"></i> Resume';
+        btn.innerHTML = `<i class="fas fa-play"></i> <span data-i18n="progression.resume">${t('progression.resume')}</span>`;
         btn.classList.add('paused');
     } else {
-        btn.innerHTML = '<i class="fas fa-pause"></i> Pause';
+        btn.innerHTML = `<i class="fas fa-pause"></i> <span data-i18n="progression.pause">${t('progression.pause')}</span>`;
         btn.classList.remove('paused');
         if (progressionCountdown > 0) {
             startCountdownTimer();
@@ -3463,7 +3866,7 @@ function stopProgression() {
 
 function completeJourney() {
     stopProgression();
-    alert(`🎉 Journey Complete!\n\nYou've experienced the ${journeyModes[currentMode].name} journey through Bhimdhunga's digital divide stories.\n\nFeel free to continue exploring manually or try the other guided journey mode.`);
+    alert(`🎉 Journey Complete!\n\nYou've experienced the ${journeys[currentMode].name} journey through Bhimdhunga's digital divide stories.\n\nFeel free to continue exploring manually or try the other guided journey mode.`);
     switchMode('manual');
 }
 
@@ -3486,53 +3889,16 @@ function createHoverPreview() {
     document.body.appendChild(preview);
 }
 
-// Show hover preview with participant info
-function showHoverPreview(participant, event) {
-    const age = getParticipantAge(participant);
-    showHoverPreviewWithAge(participant, age, event);
-}
-
-// Get correct headshot file path with proper extension
-function getHeadshotPath(participant) {
-    // Map participant names to actual file names
-    const fileMap = {
-        'Maili Tamang': 'Maili Tamang.JPG',
-        'Sunita Tamang': 'Sunita Tamang.JPG',
-        'Principal': 'Shyam Krishna Bhattarai (HT).png',
-        'Shyam Krishna Bhattarai (HT)': 'Shyam Krishna Bhattarai (HT).png',
-        'Aman Tamang': 'Aman Tamang.png',
-        'Tej Lama': 'Tej Lama.JPG',
-        'Sikha Limbu': 'Sikha Limbu.JPG',
-        'Sikha Limbu, Agriculture & Homemaker': 'Sikha Limbu.JPG',
-        'Dhan Bahadur Tamang': 'Dhanbahadur Tamang.JPG',
-        'Dhan Bahadur Tamang, Farmer': 'Dhanbahadur Tamang.JPG',
-        'Ram Raj Lama': 'Ram raj lama.png',
-        'Sudiksha Tamang': 'Sudiksha Tamang.JPG',
-        'Tej Tamang': 'Tej Lama.JPG',
-        'Tej Tamang, Local route driver': 'Tej Lama.JPG',
-        'Pratima Tamang': 'Pratima Tamang.JPG',
-        'Pratima Tamang, Farmer': 'Pratima Tamang.JPG',
-        'Samjhana Lama': 'Samjhana Lama.JPG',
-        'Bijaya Tamang': 'Bijay_tamang.png',
-        'Mishri Tamang': 'default_female_avatar.jpg',
-        'Nirisuchika Tamang, cloth shopowner': 'default_female_avatar.jpg',
-    };
-    
-    return `photos/headshots/${fileMap[participant] || participant.replace(/\s+/g, '_') + '.jpg'}`;
-}
-
-// Show hover preview with explicit age
-function showHoverPreviewWithAge(participant, age, event) {
+// Show hover preview with participant info from the registry
+function showHoverPreview(participantId, event) {
     const preview = document.getElementById('marker-hover-preview');
-    if (!preview) return;
-    
-    // Get participant data with correct file extension
-    const headshotPath = getHeadshotPath(participant);
+    const participant = localizeRecord('participants', getParticipant(participantId));
+    if (!preview || !participant) return;
     
     // Update preview content
-    preview.querySelector('.preview-headshot').src = headshotPath;
-    preview.querySelector('.preview-name').textContent = participant;
-    preview.querySelector('.preview-age').textContent = `Age: ${age}`;
+    preview.querySelector('.preview-headshot').src = participant.headshot || 'photos/headshots/Community_Member.jpg';
+    preview.querySelector('.preview-name').textContent = participant.name;
+    preview.querySelector('.preview-age').textContent = t('preview.age', { age: localizeDigits(participant.age) || t('preview.unknownAge') });
     
     // Position near mouse/cursor
     if (event) {
@@ -3553,96 +3919,51 @@ function hideHoverPreview() {
     }
 }
 
-// Get participant age (you'll need to add this data to journey locations)
-function getParticipantAge(participant) {
-    const ageData = {
-        'Maili Tamang': '58',
-        'Sunita Tamang': '45', 
-        'Principal': '52',
-        'Shyam Krishna Bhattarai (HT)': '52', // Principal's full name
-        'Aman Tamang': '18',
-        'Tej Lama': '34',
-        'Sikha Limbu': '26',
-        'Sikha Limbu, Agriculture & Homemaker': '26',
-        'Dhan Bahadur Tamang': '40',
-        'Dhan Bahadur Tamang, Farmer': '40',
-        'Ram Raj Lama': '42',
-        'Sudiksha Tamang': '28',
-        'Tej Tamang': '34',
-        'Tej Tamang, Local route driver': '34',
-        'Pratima Tamang': '41',
-        'Pratima Tamang, Farmer': '41',
-        'Samjhana Lama': 'Unknown', // Age not provided
-        'Bijaya Tamang': '17',
-        'Mishri Tamang': '52',
-        'Nirisuchika Tamang': '28',
-        'Local Resident': '42',
-        'Community Member': '35'
-    };
-    return ageData[participant] || 'Unknown';
-}
+// Marker highlight classes - applied through each marker's icon, not its element, because clustered
+// markers have no element and storyClusterGroup re-creates them whenever a cluster splits
+const MARKER_HIGHLIGHT_CLASSES = ['active-marker-highlight', 'theme-highlight'];
 
-// Function to highlight the active marker during guided journeys
-function highlightActiveMarker(markerId) {
-    // Clear any existing highlights first
-    clearAllMarkerHighlights();
+// Rebuild a marker's icon (or canvas style) from the highlight classes recorded on it
+function applyMarkerHighlights(marker) {
+    const highlights = marker.options.highlights || [];
     
-    // Add highlight based on marker type
-    if (markerId === 'street_interview_3') {
-        // Find Street Interview 3 marker and highlight it
-        const streetInterviewMarkers = document.querySelectorAll('.interview-marker');
-        streetInterviewMarkers.forEach((marker, index) => {
-            if (index === 2) { // Street Interview 3 is index 2
-                marker.style.background = 'rgba(99, 102, 241, 0.3)';
-                marker.style.borderRadius = '50%';
-                marker.style.padding = '8px';
-                marker.style.transform = 'scale(1.2)';
-                marker.style.transition = 'all 0.3s ease';
-            }
-        });
+    // Canvas house circles have no element to take a class - thicken their ring instead
+    if (marker instanceof L.CircleMarker) {
+        marker.setStyle(highlights.length ? { color: '#f59e0b', weight: 4 } : { color: '#ffffff', weight: 2 });
+        return;
     }
+    
+    const icon = marker.options.icon;
+    const baseClasses = (icon.options.className || '').split(/\s+/).filter(name => name && !MARKER_HIGHLIGHT_CLASSES.includes(name));
+    marker.setIcon(new icon.constructor({ ...icon.options, className: [...baseClasses, ...highlights].join(' ') }));
+}
+
+// Give one highlight class to the markers of the listed locations and take it off every other marker
+function setMarkerHighlights(className, locationIds) {
+    Object.entries(storyMarkers).forEach(([id, marker]) => {
+        const highlights = marker.options.highlights || [];
+        const on = locationIds.includes(id);
+        if (on === highlights.includes(className)) return;
+        
+        marker.options.highlights = on ? [...highlights, className] : highlights.filter(name => name !== className);
+        applyMarkerHighlights(marker);
+    });
+    
+    // Cluster icons pick up their children's highlights (see createStoryClusterIcon)
+    storyClusterGroup.refreshClusters();
+}
+
+// Function to highlight the active marker during guided journeys
+function highlightActiveMarker(locationId) {
+    setMarkerHighlights('active-marker-highlight', [locationId]);
 }
 
 // Function to clear all marker highlights
 function clearAllMarkerHighlights() {
-    const allMarkers = document.querySelectorAll('.interview-marker, .khajaghar-marker, .school-marker, .house-marker');
-    allMarkers.forEach(marker => {
-        marker.style.background = '';
-        marker.style.borderRadius = '';
-        marker.style.padding = '';
-        marker.style.transform = '';
-        marker.style.transition = '';
-    });
+    setMarkerHighlights('active-marker-highlight', []);
 }
 
 // SIMPLE VIDEO SEQUENCE SYSTEM
-const ageJourneyVideos = [
-    {
-        name: "Maili Tamang",
-        video: "video/participants/Maili_Tamang.mp4",
-        title: "🎥 Perception of Mobile Phones - Maili Tamang",
-        marker: "street_interview_3"
-    },
-    {
-        name: "Sunita Tamang", 
-        video: "video/participants/Sunita_Tamang.mp4",
-        title: "🎥 Sunita Tamang's Story",
-        marker: "khajaghar_1"
-    },
-    {
-        name: "Principal",
-        video: "video/participants/Principal.mp4", 
-        title: "🎥 Principal's Story",
-        marker: "school"
-    },
-    {
-        name: "Aman Tamang",
-        video: "video/participants/Aman_Tamang.mp4",
-        title: "🎥 Aman Tamang's Story", 
-        marker: "khajaghar_2"
-    }
-];
-
 let currentVideoIndex = 0;
 
 function startAgeVideoSequence() {
@@ -3651,12 +3972,19 @@ function startAgeVideoSequence() {
 }
 
 function playVideoAtIndex(index) {
-    if (index >= ageJourneyVideos.length) {
+    const stops = journeys['age-journey'].stops;
+    if (index >= stops.length) {
         console.log('Video sequence complete!');
         return;
     }
     
-    const videoData = ageJourneyVideos[index];
+    const participant = getParticipant(stops[index].participant);
+    const videoData = {
+        name: participant.name,
+        video: participant.videos[0].url,
+        title: `🎥 ${participant.videos[0].title}`,
+        marker: stops[index].location
+    };
     console.log('Playing video:', videoData.title);
     
     // Highlight the corresponding marker
@@ -3695,6 +4023,7 @@ function openSimpleVideoPanel(videoData) {
     
     // Set up video event handlers
     const video = document.getElementById('sequence-video');
+    attachCaptions(video, videoData.video);
     const nextBtn = document.getElementById('next-video-btn');
     const skipBtn = document.getElementById('skip-sequence-btn');
     const closeBtn = modal.querySelector('.close');
@@ -3723,11 +4052,11 @@ function openSimpleVideoPanel(videoData) {
 }
 
 // NEW VIDEO-FIRST PANEL SYSTEM
-function openVideoFirstPanel(participantName) {
-    console.log('Opening video-first panel for:', participantName);
+function openVideoFirstPanel(participantId) {
+    console.log('Opening video-first panel for:', participantId);
     
     // Get participant data
-    const participantData = getParticipantData(participantName);
+    const participantData = getParticipantData(participantId);
     
     // Open modal with video-first layout
     const modal = document.getElementById('popup-modal');
@@ -3745,55 +4074,23 @@ function openVideoFirstPanel(participantName) {
     highlightActiveMarker(participantData.marker);
 }
 
-function getParticipantData(participantName) {
-    const participants = {
-        'Maili Tamang': {
-            name: 'Maili Tamang',
-            role: 'Elderly Community Member (Complete Digital Avoidance)',
-            description: 'Traditional homemaker representing complete digital non-participation. Her perspective on mobile phones reveals generational concerns about technology adoption and cultural values.',
-            video: 'video/participants/Maili_Tamang.mp4',
-            videoTitle: '🎥 Perception of Mobile Phones - Maili Tamang',
-            headshot: 'photos/headshots/Maili Tamang.JPG',
-            marker: 'street_interview_3',
-            location: 'Street Interview 3',
-            ageGroup: 'Elderly (Complete Non-user)'
-        },
-        'Sunita Tamang': {
-            name: 'Sunita Tamang',
-            role: 'Middle-age (Learning Tibetan Online)',
-            description: 'Uses technology selectively for cultural preservation and meaningful connections.',
-            video: 'video/participants/Sunita_Tamang.mp4',
-            videoTitle: '🎥 Sunita Tamang\'s Digital Journey',
-            headshot: 'photos/headshots/Sunita Tamang.JPG',
-            marker: 'khajaghar_1',
-            location: 'Majuwa Khajaghar',
-            ageGroup: 'Middle-age (Learning Tibetan Online)'
-        },
-        'Principal': {
-            name: 'Principal',
-            role: 'Late Adopter (Learned at 40)',
-            description: 'Professional necessity drove digital skill acquisition in adulthood.',
-            video: 'video/participants/Principal.mp4',
-            videoTitle: '🎥 Principal\'s Professional Digital Adaptation',
-            headshot: 'photos/headshots/Principal.JPG',
-            marker: 'school',
-            location: 'School',
-            ageGroup: 'Late Adopter (Learned at 40)'
-        },
-        'Aman Tamang': {
-            name: 'Aman Tamang',
-            role: 'Digital Native (17 years old)',
-            description: 'Young digital native bridging traditional and digital worlds.',
-            video: 'video/participants/Aman_Tamang.mp4',
-            videoTitle: '🎥 Aman Tamang\'s Digital Native Perspective',
-            headshot: 'photos/headshots/Aman Tamang.JPG',
-            marker: 'khajaghar_2',
-            location: 'Thaple Khajaghar',
-            ageGroup: 'Digital Native (17 years old)'
-        }
+// Build the video-first panel content for a participant from the registry
+function getParticipantData(participantId) {
+    const participant = localizeRecord('participants', getParticipant(participantId));
+    const home = localizeRecord('locations', getStoryLocation(participant.location));
+    const video = participant.videos[0] || {};
+    
+    return {
+        name: participant.name,
+        role: participant.role,
+        description: participant.description,
+        video: video.url,
+        videoTitle: `🎥 ${video.title}`,
+        headshot: participant.headshot,
+        marker: participant.location,
+        location: home ? home.title : '',
+        ageGroup: participant.ageGroup
     };
-    
-    return participants[participantName];
 }
 
 function setupVideoFirstContent(data) {
@@ -3807,7 +4104,7 @@ function setupVideoFirstContent(data) {
     document.getElementById('resident-content').style.display = 'block';
     
     // Setup header info
-    document.getElementById('popup-title').textContent = data.name + "'s Story";
+    document.getElementById('popup-title').textContent = t('guided.story', { name: data.name });
     document.getElementById('location-name').textContent = data.location;
     document.getElementById('interview-count').textContent = data.ageGroup;
     
@@ -3819,8 +4116,8 @@ function setupVideoFirstContent(data) {
     
     // 🎥 SHOWCASE VIDEO (TOP PRIORITY)
     document.getElementById('showcase-video-heading').textContent = data.videoTitle;
-    const showcaseVideo = document.getElementById('showcase-video');
-    showcaseVideo.src = data.video;
+    document.querySelector('.showcase-video-section').style.display = 'block';
+    showShowcaseVideo(data.video);
     
     // 👤 PROFILE SECTION
     document.getElementById('resident-name').textContent = data.name;
@@ -3833,9 +4130,9 @@ function setupVideoFirstContent(data) {
     document.getElementById('photo-2').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Technology+Use';
     document.getElementById('photo-3').src = 'https://via.placeholder.com/400x200/f1f5f9/64748b?text=Community';
     
-    document.getElementById('quote-1').textContent = 'Daily life and community engagement';
-    document.getElementById('quote-2').textContent = 'Technology use in context';
-    document.getElementById('quote-3').textContent = 'Community and family connections';
+    document.getElementById('quote-1').textContent = t('guided.photo.daily');
+    document.getElementById('quote-2').textContent = t('guided.photo.technology');
+    document.getElementById('quote-3').textContent = t('guided.photo.community');
     
     // Hide other video sections for now
     const video2Section = document.getElementById('video-2-section');
@@ -3863,27 +4160,33 @@ document.addEventListener('DOMContentLoaded', () => {
 
 const storyModeState = {
     isActive: false,
+    journey: null,
     currentCharacter: null,
     completedCharacters: [],
-    viewingTimer: null,
-    requiredViewTimes: {
-        'maili': 70,
-        'sunita': 60,
-        'aman': 35
-    }
+    viewingTimer: null
 };
 
-function initializeProgressiveStoryMode() {
-    console.log('Initializing Progressive Discovery Story Mode');
+function initializeProgressiveStoryMode(journeyId) {
+    console.log('Initializing Progressive Discovery Story Mode:', journeyId);
+    
+    const journey = journeys[journeyId];
+    if (!journey) {
+        console.error('No journey found for id:', journeyId);
+        return;
+    }
     
     // Reset state
     storyModeState.isActive = true;
+    storyModeState.journey = journey;
     storyModeState.currentCharacter = null;
     storyModeState.completedCharacters = [];
     
     // Hide navbar
     hideNavbar();
     
+    // Build character boxes and completion summary from the journey stops
+    renderCharacterBoxes(journey);
+    
     // Show character boxes overlay
     const charBoxesOverlay = document.getElementById('story-character-boxes');
     charBoxesOverlay.style.display = 'block';
@@ -3894,19 +4197,125 @@ function initializeProgressiveStoryMode() {
         map.invalidateSize();
     }, 100);
     
-    // Play the Age intro video first
-    playAgeIntroVideoForStoryMode();
+    // Play the journey's intro video first
+    playStoryModeIntroVideo();
     
     // Setup event handlers
     setupStoryModeEventHandlers();
 }
 
-function playAgeIntroVideoForStoryMode() {
-    console.log('Playing Age intro video for story mode');
+// Function to build the character boxes and completion summary from a journey's stops
+function renderCharacterBoxes(journey) {
+    const grid = document.getElementById('character-boxes-grid');
+    grid.innerHTML = journey.stops.map(stop => {
+        const participant = getParticipant(stop.participant);
+        return `
+            <div id="character-box-${escapeHtml(stop.id)}" class="character-box locked" data-character="${escapeHtml(stop.id)}" data-participant="${escapeHtml(participant.id)}">
+                <div class="character-photo">
+                    <img src="${escapeHtml(participant.headshot)}" alt="${escapeHtml(participant.name)}">
+                    <div class="lock-overlay">
+                        <i class="fas fa-lock"></i>
+                    </div>
+                </div>
+                <div class="character-info">
+                    <h4></h4>
+                    <p></p>
+                    <div class="character-status">
+                        <span class="status-text"></span>
+                        <div class="timer-display" style="display: none;">
+                            <i class="fas fa-clock"></i>
+                            <span class="timer-text">${t('story.seconds', { seconds: formatNumber(stop.viewSeconds) })}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    // Character box click handlers
+    grid.querySelectorAll('.character-box').forEach(box => {
+        setCharacterStatus(box, 'locked');
+        box.addEventListener('click', () => handleCharacterBoxClick(box.dataset.character));
+    });
+    
+    fillCharacterBoxText(journey);
+}
+
+// Function to fill the journey's text into the character boxes and completion summary in the current language
+function fillCharacterBoxText(original) {
+    const journey = localizeRecord('journeys', original);
+    document.getElementById('character-boxes-title').textContent = journey.header || journey.name;
+    document.getElementById('character-boxes-subtitle').textContent = journey.description;
+    document.getElementById('progress-total').textContent = formatNumber(journey.stops.length);
+    
+    journey.stops.forEach(stop => {
+        const charBox = document.getElementById(`character-box-${stop.id}`);
+        const participant = localizeRecord('participants', getParticipant(stop.participant));
+        charBox.querySelector('img').alt = participant.name;
+        charBox.querySelector('h4').textContent = participant.name;
+        charBox.querySelector('.character-info p').textContent = t('story.ageSummary', {
+            age: localizeDigits(participant.age),
+            summary: participant.summary || participant.role
+        });
+    });
+    
+    // Completion overlay
+    document.getElementById('completion-title').textContent = journey.completion.title;
+    document.getElementById('completion-text').textContent = journey.completion.text;
+    document.getElementById('completion-summary').innerHTML = journey.stops.map(stop => {
+        const participant = localizeRecord('participants', getParticipant(stop.participant));
+        return `
+            <div class="summary-item">
+                <span class="age">${escapeHtml(localizeDigits(participant.age))}</span>
+                <span class="name">${escapeHtml(participant.name.split(' ')[0])}</span>
+                <span class="approach">${escapeHtml(stop.approach)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Function to set a character box's status label (locked, find, direct, viewing, completed)
+function setCharacterStatus(charBox, status) {
+    charBox.dataset.status = status;
+    charBox.querySelector('.status-text').textContent = t(`story.status.${status}`);
+}
+
+// Function to redraw the story mode text after a language switch
+function refreshCharacterBoxText() {
+    fillCharacterBoxText(storyModeState.journey);
+    document.querySelectorAll('.character-box').forEach(box => setCharacterStatus(box, box.dataset.status));
+    updateStoryProgress();
+}
+
+// Get the journey stop behind a story mode character box
+function getStoryStop(character) {
+    return storyModeState.journey?.stops.find(stop => stop.id === character);
+}
+
+// Function to open a character's story panel at their journey stop
+function openCharacterPopup(character) {
+    const stop = getStoryStop(character);
+    const location = stop && getStoryLocation(stop.location);
+    if (!location) {
+        console.warn('No story location found for character:', character);
+        return;
+    }
+    
+    openLocationPopup(location);
+}
+
+function playStoryModeIntroVideo() {
+    console.log('Playing intro video for story mode');
+    const introVideo = storyModeState.journey.introVideo;
     const videoOverlay = document.getElementById('cinematic-video-overlay');
     const cinematicVideo = document.getElementById('cinematic-video');
     const skipButton = document.getElementById('skip-video');
     
+    if (!introVideo) {
+        unlockFirstCharacter();
+        return;
+    }
+    
     if (!videoOverlay || !cinematicVideo || !skipButton) {
         console.error('Video elements not found');
         unlockFirstCharacter(); // Fallback
@@ -3914,7 +4323,7 @@ function playAgeIntroVideoForStoryMode() {
     }
     
     // Update video source
-    cinematicVideo.src = 'video/intro/Age intro.mp4';
+    cinematicVideo.src = introVideo;
     
     // Show video overlay
     videoOverlay.style.display = 'flex';
@@ -3927,7 +4336,7 @@ function playAgeIntroVideoForStoryMode() {
     
     if (playPromise !== undefined) {
         playPromise.then(() => {
-            console.log('Age intro video started playing');
+            console.log('Intro video started playing');
         }).catch(e => {
             console.warn('Autoplay with audio failed, trying muted:', e);
             cinematicVideo.muted = true;
@@ -3940,7 +4349,7 @@ function playAgeIntroVideoForStoryMode() {
     
     // When video ends, unlock first character
     cinematicVideo.onended = () => {
-        console.log('Age intro video ended, unlocking Maili');
+        console.log('Intro video ended, unlocking first character');
         hideVideoOverlay();
         unlockFirstCharacter();
     };
@@ -3961,53 +4370,64 @@ function hideVideoOverlay() {
 }
 
 function unlockFirstCharacter() {
-    console.log('Unlocking first character: Maili');
+    const firstStop = storyModeState.journey.stops[0];
+    console.log('Unlocking first character:', firstStop.id);
     
-    // Unlock Maili's box
-    const mailiBox = document.getElementById('character-box-maili');
-    mailiBox.classList.remove('locked');
-    mailiBox.classList.add('unlocked');
-    mailiBox.querySelector('.status-text').textContent = 'Click to Meet';
-    
-    // Highlight Maili's house on the map (Street Interview 3)
-    highlightCharacterOnMap('maili');
+    unlockCharacter(firstStop);
     
     // Update progress
     updateStoryProgress();
 }
 
-function setupStoryModeEventHandlers() {
-    // Character box click handlers
-    document.getElementById('character-box-maili').addEventListener('click', () => {
-        if (storyModeState.isActive && !storyModeState.completedCharacters.includes('maili')) {
-            startCharacterViewing('maili');
-        }
-    });
+// Function to unlock a character box according to its stop's unlock rule
+function unlockCharacter(stop) {
+    const charBox = document.getElementById(`character-box-${stop.id}`);
+    charBox.classList.remove('locked');
+    charBox.classList.add('unlocked');
     
-    document.getElementById('character-box-sunita').addEventListener('click', () => {
-        if (storyModeState.isActive && !storyModeState.completedCharacters.includes('sunita')) {
-            // For Sunita, show hint to find her location instead of directly viewing
-            if (!storyModeState.completedCharacters.includes('maili')) {
-                return; // Can't access until Maili is completed
-            }
-            showAreaHint('Majuwa Area', 'Look for Sunita\'s khajaghar (tea shop) in the Majuwa area. The map will guide you with area highlighting.');
-            storyModeState.currentUnlocked = 'sunita';
-            highlightAreaForExploration('sunita');
-        }
-    });
+    storyModeState.currentUnlocked = stop.id;
     
-    document.getElementById('character-box-aman').addEventListener('click', () => {
-        if (storyModeState.isActive && !storyModeState.completedCharacters.includes('aman')) {
-            // For Aman, show hint to find his location instead of directly viewing
-            if (!storyModeState.completedCharacters.includes('sunita')) {
-                return; // Can't access until Sunita is completed
-            }
-            showAreaHint('Thaple Area', 'Look for Aman at the khajaghar (tea shop) in the Thaple area. The map will guide you with area highlighting.');
-            storyModeState.currentUnlocked = 'aman';
-            highlightAreaForExploration('aman');
-        }
-    });
+    if (stop.unlock === 'find') {
+        // Unlock but don't show location - the visitor finds them on the map
+        setCharacterStatus(charBox, 'find');
+        
+        // Show area hint (but don't highlight yet)
+        const hint = localizeStop(storyModeState.journey, stop).hint;
+        setTimeout(() => {
+            showAreaHint(hint.title, hint.text);
+        }, 500);
+    } else {
+        // Direct stops can be opened from the box, so fly straight to them
+        setCharacterStatus(charBox, 'direct');
+        highlightCharacterOnMap(stop.id);
+    }
+}
+
+// Function to handle clicks on a character box
+function handleCharacterBoxClick(character) {
+    if (!storyModeState.isActive || storyModeState.completedCharacters.includes(character)) return;
     
+    const stops = storyModeState.journey.stops;
+    const index = stops.findIndex(stop => stop.id === character);
+    const stop = stops[index];
+    
+    // Can't access until the previous character is completed
+    if (index > 0 && !storyModeState.completedCharacters.includes(stops[index - 1].id)) {
+        return;
+    }
+    
+    if (stop.unlock === 'find') {
+        // Show hint to find their location instead of directly viewing
+        const hint = localizeStop(storyModeState.journey, stop).hint;
+        showAreaHint(hint.title, hint.text);
+        storyModeState.currentUnlocked = character;
+        highlightAreaForExploration(character);
+    } else {
+        startCharacterViewing(character);
+    }
+}
+
+function setupStoryModeEventHandlers() {
     // Exit story mode
     document.getElementById('exit-story-mode').addEventListener('click', exitStoryMode);
     
@@ -4033,7 +4453,7 @@ function startCharacterViewing(character) {
     const charBox = document.getElementById(`character-box-${character}`);
     charBox.classList.remove('unlocked');
     charBox.classList.add('viewing');
-    charBox.querySelector('.status-text').textContent = 'Viewing';
+    setCharacterStatus(charBox, 'viewing');
     
     // Show timer display
     const timerDisplay = charBox.querySelector('.timer-display');
@@ -4048,18 +4468,18 @@ function startCharacterViewing(character) {
 
 
 function startViewingTimer(character) {
-    const requiredTime = storyModeState.requiredViewTimes[character];
+    const requiredTime = getStoryStop(character).viewSeconds;
     let timeLeft = requiredTime;
     
     const charBox = document.getElementById(`character-box-${character}`);
     const timerText = charBox.querySelector('.timer-text');
     
     // Update timer display
-    timerText.textContent = `${timeLeft}s`;
+    timerText.textContent = t('story.seconds', { seconds: formatNumber(timeLeft) });
     
     storyModeState.viewingTimer = setInterval(() => {
         timeLeft--;
-        timerText.textContent = `${timeLeft}s`;
+        timerText.textContent = t('story.seconds', { seconds: formatNumber(timeLeft) });
         
         if (timeLeft <= 0) {
             completeCharacterViewing(character);
@@ -4080,7 +4500,7 @@ function completeCharacterViewing(character) {
     const charBox = document.getElementById(`character-box-${character}`);
     charBox.classList.remove('viewing');
     charBox.classList.add('completed');
-    charBox.querySelector('.status-text').textContent = 'Completed';
+    setCharacterStatus(charBox, 'completed');
     charBox.querySelector('.timer-display').style.display = 'none';
     
     // Add to completed list
@@ -4095,35 +4515,12 @@ function completeCharacterViewing(character) {
 }
 
 function unlockNextCharacter(justCompleted) {
-    if (justCompleted === 'maili') {
-        // Unlock Sunita but don't show location
-        const sunitaBox = document.getElementById('character-box-sunita');
-        sunitaBox.classList.remove('locked');
-        sunitaBox.classList.add('unlocked');
-        sunitaBox.querySelector('.status-text').textContent = 'Find & Meet';
-        
-        storyModeState.currentUnlocked = 'sunita';
-        
-        // Show area hint for Majuwa (but don't highlight yet)
-        setTimeout(() => {
-            showAreaHint('Majuwa Area', 'Look for Sunita\'s khajaghar (tea shop) in the Majuwa area. The map will guide you with area highlighting.');
-        }, 500);
-        
-    } else if (justCompleted === 'sunita') {
-        // Unlock Aman but don't show location
-        const amanBox = document.getElementById('character-box-aman');
-        amanBox.classList.remove('locked');
-        amanBox.classList.add('unlocked');
-        amanBox.querySelector('.status-text').textContent = 'Find & Meet';
-        
-        storyModeState.currentUnlocked = 'aman';
-        
-        // Show area hint for Thaple (but don't highlight yet)
-        setTimeout(() => {
-            showAreaHint('Thaple Area', 'Look for Aman at the khajaghar (tea shop) in the Thaple area. The map will guide you with area highlighting.');
-        }, 500);
-        
-    } else if (justCompleted === 'aman') {
+    const stops = storyModeState.journey.stops;
+    const nextStop = stops[stops.findIndex(stop => stop.id === justCompleted) + 1];
+    
+    if (nextStop) {
+        unlockCharacter(nextStop);
+    } else {
         // All characters completed - show completion overlay
         showStoryCompletion();
     }
@@ -4137,34 +4534,28 @@ function showAreaHint(title, text) {
 }
 
 function highlightAreaForExploration(character) {
-    // Highlight the appropriate area for the character
-    if (character === 'sunita') {
-        // Highlight Majuwa area (where Sunita's khajaghar is)
-        highlightSpecificArea('Majuwa');
-    } else if (character === 'aman') {
-        // Highlight Thaple area (where Aman's khajaghar is)
-        highlightSpecificArea('Thaple');
+    // Highlight the area named in the character's hint
+    const stop = getStoryStop(character);
+    if (stop && stop.hint) {
+        highlightSpecificArea(stop.hint.area);
     }
 }
 
 function highlightSpecificArea(areaName) {
-    // Find and highlight the specific area circle
-    const areaData = {
-        'Majuwa': { coords: [27.725122, 85.226066], radius: 250 },
-        'Thaple': { coords: [27.738486, 85.235668], radius: 400 }
-    };
+    // Find and highlight the specific area outline
+    const area = getAreaLayers().find(entry => entry.name === areaName);
     
-    if (areaData[areaName]) {
-        const area = areaData[areaName];
+    if (area) {
         // Add pulsing highlight to the area
-        const highlightCircle = L.circle(area.coords, {
-            radius: area.radius,
-            color: '#3b82f6',
-            weight: 4,
-            opacity: 0.8,
-            fillColor: '#3b82f6',
-            fillOpacity: 0.2,
-            className: 'exploration-highlight'
+        const highlightLayer = L.geoJSON(area.feature, {
+            style: {
+                color: '#3b82f6',
+                weight: 4,
+                opacity: 0.8,
+                fillColor: '#3b82f6',
+                fillOpacity: 0.2,
+                className: 'exploration-highlight'
+            }
         }).addTo(map);
         
         // Animate the highlight
@@ -4178,24 +4569,26 @@ function highlightSpecificArea(areaName) {
                 opacity -= 0.05;
                 if (opacity <= 0.1) increasing = true;
             }
-            highlightCircle.setStyle({ fillOpacity: opacity });
+            highlightLayer.setStyle({ fillOpacity: opacity });
         }, 100);
         
         // Remove highlight after 30 seconds
         setTimeout(() => {
             clearInterval(pulseInterval);
-            map.removeLayer(highlightCircle);
+            map.removeLayer(highlightLayer);
         }, 30000);
         
         // Zoom to area
-        map.flyTo(area.coords, 15, { animate: true, duration: 2 });
+        map.flyTo(getAreaCenter(area), 15, { animate: true, duration: 2 });
     }
 }
 
 function highlightCharacterOnMap(character) {
-    if (character === 'maili') {
-        // Highlight Street Interview 3 marker
-        map.flyTo([27.726670, 85.224680], 16, { animate: true, duration: 2 });
+    // Fly to the character's journey stop
+    const stop = getStoryStop(character);
+    const location = stop && getStoryLocation(stop.location);
+    if (location) {
+        map.flyTo([location.lat, location.lng], 16, { animate: true, duration: 2 });
     }
 }
 
@@ -4204,9 +4597,9 @@ function updateStoryProgress() {
     const progressFill = document.getElementById('story-progress-fill');
     
     const completed = storyModeState.completedCharacters.length;
-    const total = 3;
+    const total = storyModeState.journey.stops.length;
     
-    progressCount.textContent = completed;
+    progressCount.textContent = formatNumber(completed);
     progressFill.style.width = `${(completed / total) * 100}%`;
 }
 
@@ -4259,16 +4652,14 @@ function exitStoryMode() {
 }
 
 function resetCharacterBoxes() {
-    const characters = ['maili', 'sunita', 'aman'];
-    characters.forEach(char => {
-        const box = document.getElementById(`character-box-${char}`);
+    document.querySelectorAll('.character-box').forEach(box => {
         box.className = 'character-box locked';
-        box.querySelector('.status-text').textContent = 'Locked';
+        setCharacterStatus(box, 'locked');
         box.querySelector('.timer-display').style.display = 'none';
     });
     
     // Reset progress
-    document.getElementById('progress-count').textContent = '0';
+    document.getElementById('progress-count').textContent = formatNumber(0);
     document.getElementById('story-progress-fill').style.width = '0%';
 }
 
@@ -4283,16 +4674,10 @@ function showNavbar() {
 function checkAndStartStoryModeViewing(location) {
     if (!storyModeState.isActive) return;
     
-    let character = null;
-    
-    // Determine which character based on the location
-    if (location && location.name === 'Street Interview 3') {
-        character = 'maili';
-    } else if (location && location.name === 'Majuwa Khajaghar') {
-        character = 'sunita';
-    } else if (location && location.name === 'Thaple Khajaghar') {
-        character = 'aman';
-    }
+    // Determine which character box belongs to the participant at this location
+    const charBoxForLocation = location && location.participantId &&
+        document.querySelector(`.character-box[data-participant="${location.participantId}"]`);
+    const character = charBoxForLocation ? charBoxForLocation.dataset.character : null;
     
     // Start viewing timer if this is an unlocked character
     if (character && !storyModeState.completedCharacters.includes(character)) {
@@ -4311,7 +4696,7 @@ function startCharacterViewingFromMap(character) {
     const charBox = document.getElementById(`character-box-${character}`);
     charBox.classList.remove('unlocked');
     charBox.classList.add('viewing');
-    charBox.querySelector('.status-text').textContent = 'Viewing';
+    setCharacterStatus(charBox, 'viewing');
     
     // Show timer display
     const timerDisplay = charBox.querySelector('.timer-display');
@@ -4319,4 +4704,1580 @@ function startCharacterViewingFromMap(character) {
     
     // Start viewing timer
     startViewingTimer(character);
-}
\ No newline at end of file
+}
+
+// Story Editor - open the site with ?edit to place, move and edit story locations,
+// then export the result as data/stories.json
+const storyEditorEnabled = new URLSearchParams(window.location.search).has('edit');
+
+let storyEditorLocation = null;   // record currently open in the form
+let storyEditorIsNew = false;     // true while the form holds an unsaved location
+let storyEditorDraftMarker = null;
+
+// Open the map straight at Ward 8 with every marker draggable
+async function startStoryEditor() {
+    console.log('Starting story editor...');
+    map.setView([27.733, 85.240], 15);
+    
+    await storyDatasetReady;
+    createAreaBoundaries();
+    startAreaHighlighting();
+    showNavbar();
+    
+    document.getElementById('story-editor-toolbar').style.display = 'flex';
+    
+    // Participant choices come from the registry
+    const participantSelect = document.getElementById('editor-participant');
+    participantSelect.innerHTML = '<option value="">No participant</option>' +
+        participants.map(participant => `<option value="${escapeHtml(participant.id)}">${escapeHtml(participant.name)}</option>`).join('');
+    
+    Object.keys(storyMarkers).forEach(id => makeStoryMarkerDraggable(getStoryLocation(id), storyMarkers[id]));
+    
+    map.on('click', (e) => addStoryLocationAt(e.latlng));
+    
+    document.getElementById('story-editor-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveLocationEditor();
+    });
+    document.getElementById('story-editor-delete').addEventListener('click', deleteEditorLocation);
+    document.getElementById('story-editor-cancel').addEventListener('click', closeLocationEditor);
+    document.getElementById('story-editor-export').addEventListener('click', exportStoryDataset);
+    document.getElementById('story-editor-import').addEventListener('click', () => {
+        document.getElementById('story-editor-import-file').click();
+    });
+    document.getElementById('story-editor-import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            file.text().then(previewCsvImport);
+        }
+    });
+    document.getElementById('csv-import-commit').addEventListener('click', commitCsvImport);
+    document.getElementById('csv-import-cancel').addEventListener('click', clearCsvImport);
+    document.getElementById('story-editor-exit').addEventListener('click', () => {
+        window.location.href = window.location.pathname;
+    });
+}
+
+// Let a marker be dragged and write its new position back to the dataset record
+function makeStoryMarkerDraggable(location, marker) {
+    if (!location) return;
+    
+    // Markers not on the map yet pick this up when they are added
+    marker.options.draggable = true;
+    if (marker.dragging) {
+        marker.dragging.enable();
+    }
+    
+    marker.on('dragend', () => {
+        const position = marker.getLatLng();
+        location.lat = Number(position.lat.toFixed(6));
+        location.lng = Number(position.lng.toFixed(6));
+        console.log(`Moved ${location.id} to ${location.lat}, ${location.lng}`);
+        
+        if (location.isFoundation && foundationLabel) {
+            foundationLabel.setLatLng([location.lat - 0.001, location.lng]);
+        }
+        
+        // Keep the form in step if this location is open
+        if (storyEditorLocation === location) {
+            document.getElementById('editor-lat').value = location.lat;
+            document.getElementById('editor-lng').value = location.lng;
+        }
+    });
+}
+
+// Drop a draft marker where the map was clicked and open an empty form for it
+function addStoryLocationAt(latlng) {
+    if (storyEditorIsNew) {
+        discardDraftMarker();
+    }
+    
+    const location = {
+        id: '',
+        type: 'house',
+        lat: Number(latlng.lat.toFixed(6)),
+        lng: Number(latlng.lng.toFixed(6)),
+        title: '',
+        participantId: null,
+        digitalAccess: 'medium',
+        profile: {},
+        quotes: [],
+        videos: [],
+        stats: null
+    };
+    
+    storyEditorDraftMarker = L.marker([location.lat, location.lng], { icon: getStoryLocationIcon(location) })
+        .on('click', () => openLocationPopup(location));
+    addStoryMarker(storyEditorDraftMarker);
+    makeStoryMarkerDraggable(location, storyEditorDraftMarker);
+    
+    storyEditorLocation = location;
+    storyEditorIsNew = true;
+    openLocationEditor(location);
+}
+
+// Fill the editor form from a dataset record
+function openLocationEditor(location) {
+    // Clicking another marker abandons an unsaved new location
+    if (storyEditorIsNew && location !== storyEditorLocation) {
+        discardDraftMarker();
+    }
+    
+    storyEditorLocation = location;
+    
+    document.getElementById('story-editor-heading').textContent = storyEditorIsNew ? 'New Location' : `Edit ${location.id}`;
+    document.getElementById('editor-id').value = location.id;
+    document.getElementById('editor-id').readOnly = !storyEditorIsNew;
+    document.getElementById('editor-type').value = location.type;
+    document.getElementById('editor-type').disabled = !storyEditorIsNew;
+    document.getElementById('editor-title').value = location.title || '';
+    document.getElementById('editor-participant').value = location.participantId || '';
+    document.getElementById('editor-access').value = location.digitalAccess || 'medium';
+    document.getElementById('editor-interview-count').value = location.interviewCount || '';
+    document.getElementById('editor-location-name').value = location.locationName || '';
+    document.getElementById('editor-lat').value = location.lat;
+    document.getElementById('editor-lng').value = location.lng;
+    document.getElementById('story-editor-delete').style.display = storyEditorIsNew ? 'none' : '';
+    
+    // Three quote slots, matching the story panel
+    const quotes = location.quotes || [];
+    document.getElementById('editor-quotes').innerHTML = [0, 1, 2].map(i => `
+        <div class="editor-quote">
+            <textarea class="editor-quote-text" rows="2" placeholder="Quote ${i + 1}"></textarea>
+            <input type="text" class="editor-quote-theme" placeholder="Theme (optional)">
+            <input type="text" class="editor-quote-icon" placeholder="Icon (optional)">
+            <input type="text" class="editor-quote-tags" placeholder="Theme tags, comma separated (${themeData.map(theme => theme.id).join(', ')})">
+        </div>
+    `).join('');
+    document.querySelectorAll('.editor-quote').forEach((row, i) => {
+        const quote = quotes[i] || {};
+        row.querySelector('.editor-quote-text').value = quote.text || '';
+        row.querySelector('.editor-quote-theme').value = quote.theme || '';
+        row.querySelector('.editor-quote-icon').value = quote.icon || '';
+        row.querySelector('.editor-quote-tags').value = (quote.tags || []).join(', ');
+    });
+    
+    document.getElementById('editor-videos').value = (location.videos || [])
+        .map(video => `${video.title} | ${video.url}`)
+        .join('\n');
+    
+    document.getElementById('story-editor-panel').style.display = 'block';
+}
+
+// Fields each location type must carry - kept in step with REQUIRED_FIELDS_BY_TYPE in tools/validate-stories.js
+const EDITOR_REQUIRED_FIELDS = {
+    house: ['digitalAccess', 'participantId', 'stats'],
+    foundation: ['digitalAccess', 'foundation'],
+    khajaghar: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    street_interview: ['participantId', 'badge', 'locationName', 'interviewCount'],
+    shop: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    school: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    ward_office: ['digitalAccess', 'participantId', 'locationName', 'interviewCount']
+};
+
+// Street interviews carry a fixed badge in place of an access level
+const STREET_INTERVIEW_BADGE = { label: 'Interview', style: 'interview' };
+
+// Read the quote slots of the editor form, dropping empty ones
+function readEditorQuotes() {
+    return Array.from(document.querySelectorAll('.editor-quote'))
+        .map(row => {
+            const quote = { text: row.querySelector('.editor-quote-text').value.trim() };
+            const theme = row.querySelector('.editor-quote-theme').value.trim();
+            const icon = row.querySelector('.editor-quote-icon').value.trim();
+            const tags = row.querySelector('.editor-quote-tags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+            if (theme) quote.theme = theme;
+            if (icon) quote.icon = icon;
+            if (tags.length) quote.tags = tags;
+            return quote;
+        })
+        .filter(quote => quote.text);
+}
+
+// Check the form against the validator's rules; returns a list of problems (empty when it can be saved)
+function validateLocationEditor(location, fields) {
+    const problems = [];
+    
+    if (storyEditorIsNew) {
+        if (!fields.id) {
+            problems.push('Id is required.');
+        } else if (!/^[a-z0-9-]+$/.test(fields.id)) {
+            problems.push('Id may only contain lowercase letters, digits and hyphens.');
+        } else if (getStoryLocation(fields.id)) {
+            problems.push(`A location with id "${fields.id}" already exists.`);
+        }
+    }
+    
+    if (!fields.title) {
+        problems.push('Title is required.');
+    }
+    if (!Number.isFinite(fields.lat) || !Number.isFinite(fields.lng)) {
+        problems.push('Latitude and longitude must be numbers.');
+    }
+    
+    const required = EDITOR_REQUIRED_FIELDS[fields.type] || [];
+    if (required.includes('participantId') && !fields.participantId) {
+        problems.push('A participant is required for this type.');
+    }
+    if (required.includes('locationName') && !fields.locationName) {
+        problems.push('Location name is required for this type.');
+    }
+    if (required.includes('interviewCount') && !fields.interviewCount) {
+        problems.push('Interviews is required for this type.');
+    }
+    // The foundation's logo, mission and FAQ cannot be entered here
+    if (required.includes('foundation') && !location.foundation) {
+        problems.push('Foundation records need their foundation details added to stories.json directly.');
+    }
+    
+    // Houses without quotes fall back to their story quote
+    if (fields.type === 'house' && !fields.quotes.length && !(location.story && location.story.quote)) {
+        problems.push('Houses need at least one quote.');
+    }
+    
+    return problems;
+}
+
+// Write the form back into the dataset record
+function saveLocationEditor() {
+    const location = storyEditorLocation;
+    if (!location) return;
+    
+    const fields = {
+        id: storyEditorIsNew ? document.getElementById('editor-id').value.trim() : location.id,
+        type: storyEditorIsNew ? document.getElementById('editor-type').value : location.type,
+        title: document.getElementById('editor-title').value.trim(),
+        participantId: document.getElementById('editor-participant').value || null,
+        digitalAccess: document.getElementById('editor-access').value,
+        lat: Number(Number(document.getElementById('editor-lat').value).toFixed(6)),
+        lng: Number(Number(document.getElementById('editor-lng').value).toFixed(6)),
+        interviewCount: document.getElementById('editor-interview-count').value.trim(),
+        locationName: document.getElementById('editor-location-name').value.trim(),
+        quotes: readEditorQuotes()
+    };
+    
+    const problems = validateLocationEditor(location, fields);
+    if (problems.length) {
+        alert(`This location can't be saved yet:\n\n${problems.join('\n')}`);
+        return;
+    }
+    
+    const required = EDITOR_REQUIRED_FIELDS[fields.type] || [];
+    location.id = fields.id;
+    location.type = fields.type;
+    location.title = fields.title;
+    location.participantId = fields.participantId;
+    location.lat = fields.lat;
+    location.lng = fields.lng;
+    
+    // The foundation keeps its own access level; street interviews have a badge instead
+    if (!required.includes('digitalAccess')) {
+        delete location.digitalAccess;
+    } else if (fields.type !== 'foundation') {
+        location.digitalAccess = fields.digitalAccess;
+    }
+    if (required.includes('badge') && !location.badge) {
+        location.badge = { ...STREET_INTERVIEW_BADGE };
+    }
+    if (required.includes('stats') && !('stats' in location)) {
+        location.stats = null;
+    }
+    
+    // Optional for houses and the foundation, so an empty box removes them there
+    if (fields.interviewCount) location.interviewCount = fields.interviewCount; else delete location.interviewCount;
+    if (fields.locationName) location.locationName = fields.locationName; else delete location.locationName;
+    
+    location.quotes = fields.quotes;
+    
+    location.videos = document.getElementById('editor-videos').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line)
+        .map(line => {
+            const [title, url] = line.includes('|') ? line.split('|').map(part => part.trim()) : ['', line];
+            return { title: title || 'Their Story', url };
+        });
+    
+    if (storyEditorIsNew) {
+        storyLocations.push(location);
+        if (location.type === 'house' || location.type === 'foundation') {
+            houseData.push(location);
+        }
+        registerStoryMarker(location, storyEditorDraftMarker);
+        storyEditorDraftMarker = null;
+        storyEditorIsNew = false;
+    }
+    
+    // Houses show their access level in the icon, other types their own symbol
+    const marker = storyMarkers[location.id];
+    marker.setLatLng([location.lat, location.lng]);
+    marker.options.digitalAccess = location.digitalAccess;
+    marker.setIcon(getStoryLocationIcon(location));
+    applyMarkerHighlights(marker);
+    
+    invalidateSearchIndex();
+    console.log('Saved location', location.id);
+    closeLocationEditor();
+}
+
+// Remove the open location from the dataset and the map
+function deleteEditorLocation() {
+    const location = storyEditorLocation;
+    if (!location || storyEditorIsNew) return;
+    
+    // Journeys point at locations by id, so warn before breaking one
+    const usedBy = Object.values(journeys)
+        .filter(journey => journey.stops.some(stop => stop.location === location.id))
+        .map(journey => journey.name);
+    const warning = usedBy.length ? `\n\nUsed by: ${usedBy.join(', ')}` : '';
+    if (!confirm(`Delete ${location.id}?${warning}`)) return;
+    
+    storyLocations.splice(storyLocations.indexOf(location), 1);
+    if (houseData.includes(location)) {
+        houseData.splice(houseData.indexOf(location), 1);
+    }
+    removeStoryMarker(storyMarkers[location.id]);
+    delete storyMarkers[location.id];
+    invalidateSearchIndex();
+    
+    console.log('Deleted location', location.id);
+    closeLocationEditor();
+}
+
+function closeLocationEditor() {
+    if (storyEditorIsNew) {
+        discardDraftMarker();
+    }
+    storyEditorLocation = null;
+    document.getElementById('story-editor-panel').style.display = 'none';
+}
+
+function discardDraftMarker() {
+    if (storyEditorDraftMarker) {
+        removeStoryMarker(storyEditorDraftMarker);
+        storyEditorDraftMarker = null;
+    }
+    storyEditorIsNew = false;
+}
+
+// Download the edited dataset as data/stories.json
+function exportStoryDataset() {
+    storyDataset.revision = new Date().toISOString().slice(0, 10);
+    
+    downloadFile('stories.json', JSON.stringify(storyDataset, null, 2) + '\n', 'application/json');
+    
+    console.log(`Exported story dataset revision ${storyDataset.revision} with ${storyLocations.length} locations`);
+}
+
+
+// CSV import - turn a fieldwork spreadsheet (one interview per row) into house locations.
+// Rows are validated and previewed on the map before they are added to the dataset.
+const CSV_IMPORT_COLUMNS = {
+    participant: ['participant', 'name', 'participantname'],
+    age: ['age'],
+    area: ['wardarea', 'area'],
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude'],
+    digitalAccess: ['accesslevel', 'access', 'digitalaccess'],
+    selfEfficacy: ['selfefficacy', 'efficacy'],
+    title: ['title'],
+    quote: ['quote', 'quote1', 'quote2', 'quote3', 'quotes']
+};
+
+// Age filter categories by age in years (upper bounds exclusive); 60 is Nepal's senior citizen age
+const AGE_CATEGORY_LIMITS = [
+    { category: 'digital_native', below: 30 },
+    { category: 'late_adopter', below: 60 },
+    { category: 'elderly', below: Infinity }
+];
+
+let csvImportRows = [];
+let csvImportLayer = null;
+
+// Split CSV text into rows of fields (handles quoted fields, escaped quotes and line breaks inside quotes)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+// Build a location record from one CSV row and collect any problems with it
+function buildCsvLocation(values, nextHouseNumber) {
+    const errors = [];
+    const warnings = [];
+    
+    const name = values.participant[0] || '';
+    const lat = parseFloat(values.lat[0]);
+    const lng = parseFloat(values.lng[0]);
+    const digitalAccess = (values.digitalAccess[0] || '').toLowerCase();
+    const ageText = values.age[0] || '';
+    const age = ageText ? Number(ageText) : null;
+    
+    if (!name) errors.push('missing participant');
+    if (isNaN(lat) || isNaN(lng)) {
+        errors.push('missing or invalid lat/lng');
+    } else if (!WARD_8_BOUNDS.contains([lat, lng])) {
+        // Usually swapped lat/lng columns or a point from another survey
+        errors.push(`lat/lng ${lat}, ${lng} is outside Ward 8`);
+    }
+    if (ageText && !(Number.isInteger(age) && age > 0 && age < 120)) errors.push(`age must be a whole number of years (got "${ageText}")`);
+    if (!['high', 'medium', 'low'].includes(digitalAccess)) errors.push(`access level must be high, medium or low (got "${values.digitalAccess[0] || ''}")`);
+    
+    // Ward area must be one of the dataset's community areas
+    const areaName = values.area[0] || '';
+    const area = areaData.find(a => a.areaName.toLowerCase() === areaName.toLowerCase());
+    if (areaName && !area) {
+        warnings.push(`unknown ward area "${areaName}"`);
+    }
+    
+    // The area column is only a cross-check - the polygons decide which area a point is in
+    if (area && !errors.length && getAreaAt(lat, lng) !== area.id) {
+        warnings.push(`point lies outside the ${area.areaName} area`);
+    }
+    
+    const participant = name ? findParticipantByName(name) : null;
+    const id = `house-${nextHouseNumber}`;
+    let participantId = participant ? participant.id : slugify(name);
+    if (name && !participant) {
+        warnings.push('new participant will be added to the registry');
+        // Names written in Devanagari have no letters slugify keeps
+        if (!participantId) {
+            participantId = `participant-${id}`;
+            warnings.push(`name has no Latin letters, participant id set to "${participantId}"`);
+        }
+    }
+    
+    const location = {
+        id,
+        type: 'house',
+        lat: Number(lat.toFixed(6)),
+        lng: Number(lng.toFixed(6)),
+        title: values.title[0] || `${name} Household`,
+        participantId,
+        digitalAccess,
+        profile: {},
+        quotes: values.quote.map(text => ({ text })),
+        videos: [],
+        stats: null
+    };
+    if (values.selfEfficacy[0]) location.selfEfficacy = slugify(values.selfEfficacy[0]).replace(/-/g, '_');
+    if (Number.isInteger(age)) location.ageCategory = getAgeCategory(age);
+    
+    return {
+        location,
+        newParticipant: name && !participant ? {
+            id: location.participantId,
+            name,
+            aliases: [],
+            age,
+            headshot: null,
+            location: location.id
+        } : null,
+        errors,
+        warnings
+    };
+}
+
+// Age filter category for an age in years, e.g. 42 -> 'late_adopter'
+function getAgeCategory(age) {
+    return AGE_CATEGORY_LIMITS.find(limit => age < limit.below).category;
+}
+
+// Turn a name into a registry-style id, e.g. 'Maili Tamang' -> 'maili-tamang'
+function slugify(text) {
+    return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Parse a CSV file, validate every row and show the result on the map
+function previewCsvImport(text) {
+    clearCsvImport();
+    closeLocationEditor();
+    
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        alert('The CSV file is empty.');
+        return;
+    }
+    
+    // Match header cells to known columns, ignoring case, spaces and punctuation
+    const columnFor = header.map(cell => {
+        const key = cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+        return Object.keys(CSV_IMPORT_COLUMNS).find(column => CSV_IMPORT_COLUMNS[column].includes(key));
+    });
+    ['participant', 'lat', 'lng', 'digitalAccess'].forEach(column => {
+        if (!columnFor.includes(column)) {
+            console.warn(`CSV import: no column found for ${column}`);
+        }
+    });
+    
+    // Continue numbering after the highest existing house id
+    let nextHouseNumber = Math.max(0, ...getStoryLocationsByType('house')
+        .map(house => parseInt(house.id.replace('house-', ''), 10))
+        .filter(number => !isNaN(number))) + 1;
+    
+    csvImportLayer = L.layerGroup().addTo(map);
+    csvImportRows = rows.map((fields, index) => {
+        const values = {};
+        Object.keys(CSV_IMPORT_COLUMNS).forEach(column => { values[column] = []; });
+        fields.forEach((value, i) => {
+            if (columnFor[i] && value.trim()) {
+                values[columnFor[i]].push(value.trim());
+            }
+        });
+        
+        const row = buildCsvLocation(values, nextHouseNumber);
+        row.line = index + 2; // header is line 1
+        if (!row.errors.length) {
+            nextHouseNumber++;
+            
+            L.circleMarker([row.location.lat, row.location.lng], {
+                radius: 9,
+                color: row.warnings.length ? '#f59e0b' : '#2563eb',
+                weight: 2,
+                dashArray: '4 3',
+                fillOpacity: 0.3
+            }).bindTooltip(`${escapeHtml(row.location.title)} (line ${row.line})`).addTo(csvImportLayer);
+        }
+        return row;
+    });
+    
+    const ready = csvImportRows.filter(row => !row.errors.length);
+    document.getElementById('csv-import-summary').textContent =
+        `${csvImportRows.length} rows read: ${ready.length} ready to add, ${csvImportRows.length - ready.length} with errors (skipped).`;
+    document.getElementById('csv-import-rows').innerHTML = csvImportRows.map(row => `
+        <li class="${row.errors.length ? 'error' : row.warnings.length ? 'warning' : 'ok'}">
+            <strong>Line ${row.line}:</strong> ${escapeHtml(row.location.title)}
+            ${[...row.errors, ...row.warnings].map(problem => `<div class="csv-import-problem">${escapeHtml(problem)}</div>`).join('')}
+        </li>
+    `).join('');
+    document.getElementById('csv-import-commit').textContent = `Add ${ready.length} Locations`;
+    document.getElementById('csv-import-commit').disabled = !ready.length;
+    document.getElementById('csv-import-panel').style.display = 'block';
+    
+    if (ready.length) {
+        map.fitBounds(csvImportLayer.getLayers().map(marker => marker.getLatLng()), { padding: [40, 40], maxZoom: 17 });
+    }
+}
+
+// Add the valid previewed rows to the dataset and put real markers on the map
+function commitCsvImport() {
+    const ready = csvImportRows.filter(row => !row.errors.length);
+    
+    ready.forEach(({ location, newParticipant }) => {
+        if (newParticipant && !getParticipant(newParticipant.id)) {
+            participants.push(newParticipant);
+        }
+        storyLocations.push(location);
+        houseData.push(location);
+        
+        const marker = L.marker([location.lat, location.lng], { icon: getLocationIcon(location.digitalAccess) })
+            .on('click', () => openLocationPopup(location));
+        houseMarkers.push(marker);
+        registerStoryMarker(location, marker);
+        addStoryMarker(marker);
+        makeStoryMarkerDraggable(location, marker);
+    });
+    
+    // Keep the registry on the dataset that gets exported
+    storyDataset.participants = participants;
+    invalidateSearchIndex();
+    
+    console.log(`CSV import added ${ready.length} locations`);
+    clearCsvImport();
+}
+
+function clearCsvImport() {
+    if (csvImportLayer) {
+        map.removeLayer(csvImportLayer);
+        csvImportLayer = null;
+    }
+    csvImportRows = [];
+    document.getElementById('csv-import-panel').style.display = 'none';
+}
+
+
+// Open data export - story locations and community areas as GeoJSON and KML
+const OPEN_DATA_FILES = ['data/open-data/LICENSE.md', 'data/open-data/METADATA.md'];
+
+// License named in the exports - null until the project owners choose one (see data/open-data/LICENSE.md)
+const OPEN_DATA_LICENSE = null;
+
+// Community area outlines with their dataset-style ids ({ id, name, feature, layer })
+function getAreaLayers() {
+    return areaLayers;
+}
+
+// Relative media paths become full links so the exported files work outside the site
+function toAbsoluteUrl(url) {
+    return url ? new URL(url, window.location.href).href : '';
+}
+
+// Flat field list for one location (see data/open-data/METADATA.md)
+function getLocationExportProperties(location) {
+    const participant = location.participantId ? getParticipant(location.participantId) : null;
+    const properties = {
+        id: location.id,
+        type: location.type,
+        title: location.title,
+        participant: participant ? participant.name : '',
+        participant_id: location.participantId || '',
+        age: participant && participant.age ? participant.age : '',
+        role: location.profile?.role || participant?.role || '',
+        digital_access: location.digitalAccess || '',
+        location_name: location.locationName || '',
+        interview_count: location.interviewCount || ''
+    };
+    
+    (location.quotes || []).forEach((quote, i) => {
+        properties[`quote_${i + 1}`] = quote.text;
+        properties[`quote_${i + 1}_themes`] = (quote.tags || []).join(', ');
+    });
+    (location.videos || []).forEach((video, i) => {
+        properties[`video_${i + 1}_title`] = video.title;
+        properties[`video_${i + 1}_url`] = toAbsoluteUrl(video.url);
+    });
+    if (participant && participant.headshot) {
+        properties.headshot_url = toAbsoluteUrl(participant.headshot);
+    }
+    
+    return properties;
+}
+
+function buildStoryGeoJSON() {
+    const locationFeatures = storyLocations.map(location => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [location.lng, location.lat] },
+        properties: getLocationExportProperties(location)
+    }));
+    
+    const areaFeatures = areaBoundaries.map(feature => ({
+        type: 'Feature',
+        geometry: feature.geometry,
+        properties: {
+            id: feature.properties.id,
+            type: 'area',
+            name: feature.properties.name,
+            story_count: countAreaStories(feature.properties.id),
+            surveyed: Boolean(feature.properties.surveyed),
+            source: feature.properties.source || ''
+        }
+    }));
+    
+    return {
+        type: 'FeatureCollection',
+        name: storyDataset.title,
+        metadata: {
+            description: storyDataset.description,
+            revision: storyDataset.revision,
+            exported: new Date().toISOString().slice(0, 10),
+            license: OPEN_DATA_LICENSE
+        },
+        features: [...locationFeatures, ...areaFeatures]
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// KML colours are aabbggrr
+const KML_ACCESS_STYLES = {
+    high: 'ff5ec522',
+    medium: 'ff24bffb',
+    low: 'ff4444ef'
+};
+
+function buildStoryKML() {
+    const styles = Object.entries(KML_ACCESS_STYLES).map(([access, color]) => `
+    <Style id="access-${access}"><IconStyle><color>${color}</color></IconStyle></Style>`).join('') + `
+    <Style id="area"><LineStyle><color>ff3b82f6</color><width>2</width></LineStyle><PolyStyle><color>263b82f6</color></PolyStyle></Style>`;
+    
+    const locationPlacemarks = storyLocations.map(location => {
+        const properties = getLocationExportProperties(location);
+        const quotes = (location.quotes || []).map(quote => `<p>${escapeXml(quote.text)}</p>`).join('');
+        const videos = (location.videos || []).map(video => `<p><a href="${escapeXml(toAbsoluteUrl(video.url))}">${escapeXml(video.title)}</a></p>`).join('');
+        const data = Object.entries(properties)
+            .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+            .join('');
+        
+        return `
+      <Placemark>
+        <name>${escapeXml(location.title)}</name>
+        <description><![CDATA[${properties.participant ? `<p><b>${escapeXml(properties.participant)}</b></p>` : ''}${quotes}${videos}]]></description>
+        ${KML_ACCESS_STYLES[location.digitalAccess] ? `<styleUrl>#access-${location.digitalAccess}</styleUrl>` : ''}
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${location.lng},${location.lat},0</coordinates></Point>
+      </Placemark>`;
+    }).join('');
+    
+    const toKmlRing = ring => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const toKmlPolygon = rings => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toKmlRing(rings[0])}</coordinates></LinearRing></outerBoundaryIs>${rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing><coordinates>${toKmlRing(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('')}</Polygon>`;
+    const areaPlacemarks = areaBoundaries.map(feature => {
+        const geometry = feature.geometry;
+        const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+        return `
+      <Placemark>
+        <name>${escapeXml(feature.properties.name)}</name>
+        <styleUrl>#area</styleUrl>
+        <ExtendedData><Data name="id"><value>${escapeXml(feature.properties.id)}</value></Data><Data name="story_count"><value>${countAreaStories(feature.properties.id)}</value></Data><Data name="surveyed"><value>${Boolean(feature.properties.surveyed)}</value></Data></ExtendedData>
+        ${polygons.length > 1 ? `<MultiGeometry>${polygons.map(toKmlPolygon).join('')}</MultiGeometry>` : toKmlPolygon(polygons[0])}
+      </Placemark>`;
+    }).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(storyDataset.title)}</name>
+    <description>${escapeXml(storyDataset.description)} (revision ${storyDataset.revision}${OPEN_DATA_LICENSE ? `, ${OPEN_DATA_LICENSE}` : ''})</description>${styles}
+    <Folder>
+      <name>Story Locations</name>${locationPlacemarks}
+    </Folder>
+    <Folder>
+      <name>Community Areas</name>${areaPlacemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+function downloadFile(filename, content, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    // Revoking straight after click() can cancel the download before the browser has read the blob
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function downloadGeoJSON() {
+    downloadFile('stories.geojson', JSON.stringify(buildStoryGeoJSON(), null, 2), 'application/geo+json');
+}
+
+function downloadKML() {
+    downloadFile('stories.kml', buildStoryKML(), 'application/vnd.google-earth.kml+xml');
+}
+
+// GeoJSON, KML, license and metadata in one zip
+async function downloadOpenDataBundle() {
+    try {
+        const files = [
+            { name: 'stories.geojson', content: JSON.stringify(buildStoryGeoJSON(), null, 2) },
+            { name: 'stories.kml', content: buildStoryKML() }
+        ];
+        
+        for (const path of OPEN_DATA_FILES) {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`${path} fetch failed: ${response.status}`);
+            }
+            files.push({ name: path.split('/').pop(), content: await response.text() });
+        }
+        
+        downloadFile('bhimdhunga-open-data.zip', createZip(files));
+    } catch (error) {
+        console.error('Error building open data bundle:', error);
+        alert('Could not build the open data bundle. Please try again.');
+    }
+}
+
+// Minimal zip writer (stored, uncompressed) so the bundle needs no extra library
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);  // local file header signature
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 names
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(local, name, data);
+        
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+        
+        offset += 30 + name.length + data.length;
+    });
+    
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);        // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c;
+        }
+    }
+    
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Full-text search - indexes everything a visitor can read in the side panel (titles, quotes,
+// testimonials, profiles, the FAQ and area challenges) and pins the matches on the map
+const SEARCH_MAX_RESULTS = 12;
+let searchResults = [];
+let searchSelectedIndex = -1;
+let searchResultLayer = null;
+
+// Built on the first search, dropped whenever the dataset or the language changes
+let searchIndex = null;
+
+function invalidateSearchIndex() {
+    searchIndex = null;
+}
+
+// Build the search index in the current language - one entry per readable text
+function buildSearchIndex() {
+    const entries = [];
+    const add = (target, field, text) => {
+        if (text) entries.push({ ...target, field, text: String(text).replace(/<[^>]+>/g, '') });
+    };
+    
+    storyLocations.forEach(original => {
+        const location = localizeRecord('locations', original);
+        const participant = localizeRecord('participants', getParticipant(location.participantId));
+        const target = { kind: 'location', id: location.id, title: location.title, lat: location.lat, lng: location.lng };
+        
+        add(target, t('search.field.title'), location.title);
+        add(target, t('search.field.place'), location.locationName);
+        add(target, t('search.field.name'), participant?.name);
+        (location.quotes || []).forEach(quote => add(target, t('search.field.quote'), quote.text));
+        add(target, t('search.field.quote'), location.story?.quote);
+        add(target, t('search.field.testimonial'), location.story?.testimonial);
+        add(target, t('search.field.profile'), location.profile?.role);
+        add(target, t('search.field.profile'), location.profile?.description || participant?.description);
+        
+        // The foundation's FAQ opens in its panel
+        (location.foundation?.faq || []).forEach((item, index) => {
+            const faqTarget = { ...target, kind: 'faq', faqIndex: index, title: item.question };
+            add(faqTarget, t('search.field.faq'), item.question);
+            add(faqTarget, t('search.field.faq'), item.answer);
+        });
+    });
+    
+    areaData.forEach(original => {
+        const area = localizeRecord('areas', original);
+        const center = getAreaCenterById(area.id);
+        if (!center) return;
+        const target = { kind: 'area', id: area.id, title: area.title, lat: center.lat, lng: center.lng };
+        
+        add(target, t('search.field.title'), area.title);
+        (area.challenges || []).forEach(challenge => add(target, t('search.field.challenge'), challenge));
+        add(target, t('search.field.quote'), area.story?.quote);
+        add(target, t('search.field.community'), area.story?.community_voice);
+        add(target, t('search.field.community'), area.story?.digital_divide);
+    });
+    
+    return entries;
+}
+
+// Find matches for a query - every word must appear, one result per place showing its first match
+function searchStories(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return [];
+    
+    if (!searchIndex) {
+        searchIndex = buildSearchIndex();
+    }
+    
+    const results = [];
+    searchIndex.forEach(entry => {
+        const text = entry.text.toLowerCase();
+        if (!words.every(word => text.includes(word))) return;
+        
+        const key = `${entry.kind}:${entry.id}:${entry.faqIndex ?? ''}`;
+        const existing = results.find(result => result.key === key);
+        if (existing) {
+            existing.matchCount++;
+        } else {
+            results.push({ ...entry, key, words, matchCount: 1 });
+        }
+    });
+    
+    return results.slice(0, SEARCH_MAX_RESULTS);
+}
+
+// A short excerpt around the first matching word, with every match marked
+function buildSearchSnippet(text, words) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...words.map(word => lower.indexOf(word)).filter(index => index !== -1));
+    const start = Math.max(0, first - 40);
+    const end = Math.min(text.length, first + 100);
+    const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    
+    const pattern = new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return excerpt.split(pattern).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+}
+
+// Wire up the navbar search box
+function setupStorySearch() {
+    const input = document.getElementById('nav-search-input');
+    const resultsBox = document.getElementById('nav-search-results');
+    
+    input.addEventListener('input', () => runStorySearch(input.value));
+    input.addEventListener('focus', () => {
+        if (input.value.trim()) runStorySearch(input.value);
+    });
+    
+    input.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (!searchResults.length) return;
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            searchSelectedIndex = (searchSelectedIndex + step + searchResults.length) % searchResults.length;
+            renderSearchResults();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            const result = searchResults[searchSelectedIndex] || searchResults[0];
+            if (result) openSearchResult(result);
+        } else if (event.key === 'Escape') {
+            clearStorySearch();
+            input.blur();
+        }
+    });
+    
+    resultsBox.addEventListener('click', event => {
+        const item = event.target.closest('.search-result');
+        if (item) openSearchResult(searchResults[Number(item.dataset.index)]);
+    });
+    
+    // Close the list when clicking anywhere else
+    document.addEventListener('click', event => {
+        if (!event.target.closest('.nav-search')) {
+            resultsBox.classList.remove('show');
+        }
+    });
+}
+
+function runStorySearch(query) {
+    searchResults = searchStories(query.trim());
+    searchSelectedIndex = -1;
+    renderSearchResults();
+    pinSearchResults();
+}
+
+// Fill the dropdown under the search box
+function renderSearchResults() {
+    const resultsBox = document.getElementById('nav-search-results');
+    const query = document.getElementById('nav-search-input').value.trim();
+    
+    if (!query) {
+        resultsBox.classList.remove('show');
+        resultsBox.innerHTML = '';
+        return;
+    }
+    
+    resultsBox.innerHTML = searchResults.length ? searchResults.map((result, index) => `
+        <div class="search-result${index === searchSelectedIndex ? ' selected' : ''}" data-index="${index}">
+            <div class="search-result-header">
+                <span class="search-result-title">${escapeHtml(result.title)}</span>
+                <span class="search-result-field">${escapeHtml(result.field)}${result.matchCount > 1 ? ` +${formatNumber(result.matchCount - 1)}` : ''}</span>
+            </div>
+            <p class="search-result-snippet">${buildSearchSnippet(result.text, result.words)}</p>
+        </div>
+    `).join('') : `<div class="search-empty">${t('search.noResults', { query: escapeHtml(query) })}</div>`;
+    
+    resultsBox.classList.add('show');
+    resultsBox.querySelector('.search-result.selected')?.scrollIntoView({ block: 'nearest' });
+}
+
+// Drop a numbered pin on the map for each result
+function pinSearchResults() {
+    if (searchResultLayer) {
+        map.removeLayer(searchResultLayer);
+        searchResultLayer = null;
+    }
+    if (!searchResults.length) return;
+    
+    const pinned = new Set();
+    searchResultLayer = L.layerGroup(searchResults.filter(result => {
+        const key = `${result.lat},${result.lng}`;
+        if (pinned.has(key)) return false;
+        pinned.add(key);
+        return true;
+    }).map(result => L.circleMarker([result.lat, result.lng], {
+        radius: 14,
+        color: '#f59e0b',
+        weight: 3,
+        fillColor: '#fde68a',
+        fillOpacity: 0.35,
+        interactive: false
+    }))).addTo(map);
+}
+
+// Fly to a result and open what it points at
+function openSearchResult(result) {
+    document.getElementById('nav-search-results').classList.remove('show');
+    
+    // Listen before flying - a short hop can finish (and fire moveend) straight away
+    if (result.kind === 'area') {
+        map.once('moveend', () => {
+            L.popup()
+                .setLatLng([result.lat, result.lng])
+                .setContent(`<strong>${escapeHtml(result.title)}</strong><br>${buildSearchSnippet(result.text, result.words)}`)
+                .openOn(map);
+        });
+        map.flyTo([result.lat, result.lng], 16, { animate: true, duration: 1.5 });
+        return;
+    }
+    
+    const location = getStoryLocation(result.id);
+    map.once('moveend', () => {
+        openLocationPopup(location);
+        
+        // Expand the matching FAQ answer in the foundation panel
+        if (result.kind === 'faq') {
+            const faqItem = document.querySelectorAll('#faq-list .faq-item')[result.faqIndex];
+            if (faqItem) {
+                faqItem.querySelector('.faq-question').click();
+                faqItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+    });
+    map.flyTo([location.lat, location.lng], 17, { animate: true, duration: 1.5 });
+}
+
+function clearStorySearch() {
+    document.getElementById('nav-search-input').value = '';
+    runStorySearch('');
+}
+
+// Story filters - facets over the location fields, applied to every story marker at once
+const STORY_FILTER_FACETS = [
+    { key: 'type', value: location => location.type },
+    { key: 'access', value: location => location.digitalAccess || 'unknown' },
+    { key: 'age', value: location => location.ageCategory || 'unknown' },
+    { key: 'efficacy', value: location => location.selfEfficacy || 'unknown' },
+    { key: 'area', value: location => getLocationArea(location) || 'other' }
+];
+
+// Values switched off in each facet, e.g. { access: Set(['low']) }
+const storyFilters = {};
+
+// Community area a location belongs to, decided by which tole polygon contains it
+function getLocationArea(location) {
+    return getAreaAt(location.lat, location.lng);
+}
+
+function locationMatchesFilters(location) {
+    return STORY_FILTER_FACETS.every(facet => !storyFilters[facet.key]?.has(facet.value(location)));
+}
+
+// Label for a facet value - translated when the string table has it, otherwise tidied up
+function getFilterValueLabel(facet, value) {
+    const key = `filter.${facet}.${value}`;
+    const label = t(key);
+    return label !== key ? label : value.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function toggleFilterPanel() {
+    const panel = document.getElementById('filter-panel');
+    const isOpen = panel.classList.toggle('show');
+    document.getElementById('nav-filter').classList.toggle('active', isOpen);
+    if (isOpen) {
+        renderFilterPanel();
+    }
+}
+
+// Build the checkboxes from the values present in the dataset, with how many locations carry each
+function renderFilterPanel() {
+    const container = document.getElementById('filter-facets');
+    
+    container.innerHTML = STORY_FILTER_FACETS.map(facet => {
+        const counts = {};
+        storyLocations.forEach(location => {
+            const value = facet.value(location);
+            counts[value] = (counts[value] || 0) + 1;
+        });
+        
+        return `
+            <fieldset class="filter-facet">
+                <legend>${t(`filter.${facet.key}`)}</legend>
+                ${Object.keys(counts).sort((a, b) => ['unknown', 'other'].includes(a) - ['unknown', 'other'].includes(b)).map(value => `
+                    <label class="filter-option">
+                        <input type="checkbox" data-facet="${facet.key}" value="${value}"${storyFilters[facet.key]?.has(value) ? '' : ' checked'}>
+                        <span>${getFilterValueLabel(facet.key, value)}</span>
+                        <span class="filter-option-count">${formatNumber(counts[value])}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const excluded = storyFilters[checkbox.dataset.facet] = storyFilters[checkbox.dataset.facet] || new Set();
+            if (checkbox.checked) {
+                excluded.delete(checkbox.value);
+            } else {
+                excluded.add(checkbox.value);
+            }
+            applyStoryFilters();
+        });
+    });
+    
+    updateFilterCount();
+}
+
+// Show or hide every story marker to match the filters
+function applyStoryFilters() {
+    storyLocations.forEach(location => {
+        const marker = storyMarkers[location.id];
+        if (!marker) return;
+        
+        const visible = locationMatchesFilters(location);
+        if (visible && !hasStoryMarker(marker)) {
+            addStoryMarker(marker);
+        } else if (!visible && hasStoryMarker(marker)) {
+            removeStoryMarker(marker);
+        }
+        
+        if (location.isFoundation && foundationLabel) {
+            if (visible) foundationLabel.addTo(map); else map.removeLayer(foundationLabel);
+        }
+    });
+    
+    updateFilterCount();
+}
+
+// Live count of stories (every location except the foundation) left on the map
+function updateFilterCount() {
+    const stories = storyLocations.filter(location => !location.isFoundation);
+    const matching = stories.filter(locationMatchesFilters);
+    document.getElementById('filter-count').textContent = t('filter.count', {
+        count: formatNumber(matching.length),
+        total: formatNumber(stories.length)
+    });
+}
+
+function resetStoryFilters() {
+    Object.keys(storyFilters).forEach(key => delete storyFilters[key]);
+    applyStoryFilters();
+    renderFilterPanel();
+}
+
+// Theme explorer - every quote tagged with a theme, across participants, stepped through in dataset order
+let activeTheme = null;
+let themeQuotes = [];
+let themeStep = -1;
+
+// Quotes tagged with a theme, in the current language
+function getThemeQuotes(themeId) {
+    return storyLocations.flatMap(original => {
+        const location = localizeRecord('locations', original);
+        const participant = localizeRecord('participants', getParticipant(location.participantId));
+        return (original.quotes || [])
+            .map((quote, index) => ({ location: original, text: location.quotes[index].text, participant, index, tags: quote.tags || [] }))
+            .filter(quote => quote.tags.includes(themeId));
+    });
+}
+
+function toggleThemeExplorer() {
+    const panel = document.getElementById('theme-explorer');
+    const isOpen = panel.classList.toggle('show');
+    document.getElementById('nav-themes').classList.toggle('active', isOpen);
+    
+    if (isOpen) {
+        renderThemeExplorer();
+    } else {
+        selectTheme(null);
+    }
+}
+
+// Theme chips with how many quotes each has, plus the selected theme's quotes
+function renderThemeExplorer() {
+    const list = document.getElementById('theme-list');
+    list.innerHTML = themeData.map(original => {
+        const theme = localizeRecord('themes', original);
+        return `
+            <button class="theme-chip${theme.id === activeTheme ? ' active' : ''}" data-theme="${theme.id}" title="${escapeHtml(theme.description || '')}">
+                <span>${theme.icon || ''} ${escapeHtml(theme.label)}</span>
+                <span class="theme-chip-count">${formatNumber(getThemeQuotes(theme.id).length)}</span>
+            </button>
+        `;
+    }).join('');
+    list.querySelectorAll('.theme-chip').forEach(chip => {
+        chip.addEventListener('click', () => selectTheme(chip.dataset.theme === activeTheme ? null : chip.dataset.theme));
+    });
+    
+    if (activeTheme) {
+        themeQuotes = getThemeQuotes(activeTheme);
+    }
+    renderThemeQuotes();
+}
+
+// Pick a theme (or null to clear): list its quotes and highlight their markers
+function selectTheme(themeId) {
+    activeTheme = themeId;
+    themeQuotes = themeId ? getThemeQuotes(themeId) : [];
+    themeStep = -1;
+    map.closePopup();
+    
+    document.querySelectorAll('.theme-chip').forEach(chip => chip.classList.toggle('active', chip.dataset.theme === themeId));
+    highlightThemeMarkers();
+    renderThemeQuotes();
+    
+    // Frame every marker that has a quote on this theme
+    if (themeQuotes.length) {
+        map.fitBounds(L.latLngBounds(themeQuotes.map(quote => [quote.location.lat, quote.location.lng])).pad(0.3), { maxZoom: 16 });
+    }
+}
+
+function renderThemeQuotes() {
+    const quoteList = document.getElementById('theme-quotes');
+    document.getElementById('theme-stepper').style.display = themeQuotes.length ? 'flex' : 'none';
+    
+    quoteList.innerHTML = themeQuotes.map((quote, index) => `
+        <li class="theme-quote${index === themeStep ? ' current' : ''}" data-index="${index}">
+            <p>${escapeHtml(quote.text)}</p>
+            <span class="theme-quote-source">— ${escapeHtml(quote.participant?.name || quote.location.title)}</span>
+        </li>
+    `).join('');
+    quoteList.querySelectorAll('.theme-quote').forEach(item => {
+        item.addEventListener('click', () => showThemeQuote(Number(item.dataset.index)));
+    });
+    
+    updateThemePosition();
+}
+
+function updateThemePosition() {
+    document.getElementById('theme-position').textContent = t('themes.position', {
+        current: formatNumber(themeStep + 1),
+        total: formatNumber(themeQuotes.length)
+    });
+}
+
+// Mark the markers of every location with a quote on the active theme
+function highlightThemeMarkers() {
+    setMarkerHighlights('theme-highlight', themeQuotes.map(quote => quote.location.id));
+}
+
+// Move to the next (1) or previous (-1) quote, wrapping around
+function stepThemeQuote(direction) {
+    if (!themeQuotes.length) return;
+    showThemeQuote((themeStep + direction + themeQuotes.length) % themeQuotes.length);
+}
+
+// Fly to a quote's marker and show it in a map popup
+function showThemeQuote(index) {
+    const quote = themeQuotes[index];
+    themeStep = index;
+    
+    document.querySelectorAll('.theme-quote').forEach(item => item.classList.toggle('current', Number(item.dataset.index) === index));
+    document.querySelector('.theme-quote.current')?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    updateThemePosition();
+    
+    // Listen before flying - a short hop can finish (and fire moveend) straight away
+    map.once('moveend', () => {
+        L.popup({ maxWidth: 300, className: 'theme-quote-popup' })
+            .setLatLng([quote.location.lat, quote.location.lng])
+            .setContent(`
+                <p class="theme-popup-text">${escapeHtml(quote.text)}</p>
+                <p class="theme-popup-source">— ${escapeHtml(quote.participant?.name || quote.location.title)}</p>
+                <button class="theme-popup-btn" onclick="openLocationPopup(getStoryLocation('${quote.location.id}'))">${t('themes.readStory')}</button>
+            `)
+            .openOn(map);
+    });
+    map.flyTo([quote.location.lat, quote.location.lng], Math.max(map.getZoom(), 17), { animate: true, duration: 1.2 });
+}
+
+// Draw the Voices cards that pass the search, area and theme filters, in the chosen order
+function renderQuoteWall(quotes) {
+    const query = document.getElementById('quote-wall-search').value.trim().toLowerCase();
+    const area = document.getElementById('quote-wall-area').value;
+    const theme = document.getElementById('quote-wall-theme').value;
+    const sort = document.getElementById('quote-wall-sort').value;
+    
+    const shown = quotes
+        .map((quote, index) => ({ ...quote, index }))
+        .filter(quote => !query || `${quote.text} ${quote.name}`.toLowerCase().includes(query))
+        .filter(quote => !area || quote.area === area)
+        .filter(quote => !theme || quote.tags.includes(theme));
+    
+    // Quotes without an age or theme sort last
+    const compareText = (a, b) => (a || '\uffff').localeCompare(b || '\uffff');
+    const sorters = {
+        dataset: (a, b) => a.index - b.index,
+        name: (a, b) => compareText(a.name, b.name),
+        age: (a, b) => (a.age ?? Infinity) - (b.age ?? Infinity),
+        area: (a, b) => compareText(getFilterValueLabel('area', a.area), getFilterValueLabel('area', b.area)),
+        theme: (a, b) => compareText(a.themes[0], b.themes[0])
+    };
+    shown.sort((a, b) => sorters[sort](a, b) || a.index - b.index);
+    
+    document.getElementById('quote-wall-count').textContent = t('panel.voices.count', {
+        count: formatNumber(shown.length),
+        total: formatNumber(quotes.length)
+    });
+    
+    const grid = document.getElementById('quote-wall-grid');
+    grid.innerHTML = shown.map(quote => `
+        <div class="quote-card" data-index="${quote.index}">
+            <div class="quote-card-person">
+                <img src="${quote.headshot}" alt="${escapeHtml(quote.name)}" class="quote-card-headshot">
+                <div>
+                    <div class="quote-card-name">${escapeHtml(quote.name)}</div>
+                    <div class="quote-card-meta">
+                        ${quote.age ? `${t('preview.age', { age: localizeDigits(quote.age) })} · ` : ''}${getFilterValueLabel('area', quote.area)}
+                    </div>
+                </div>
+            </div>
+            <p class="quote-card-text">${escapeHtml(quote.text)}</p>
+            <div class="quote-card-themes">
+                ${quote.themes.map(label => `<span class="quote-card-theme">${escapeHtml(label)}</span>`).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    grid.querySelectorAll('.quote-card').forEach(card => {
+        card.addEventListener('click', () => openQuoteSource(quotes[Number(card.dataset.index)]));
+    });
+}
+
+// Open the panel (or, for area voices, the map popup) a quote came from
+function openQuoteSource(quote) {
+    if (quote.kind === 'location') {
+        const location = getStoryLocation(quote.sourceId);
+        map.flyTo([location.lat, location.lng], 17, { animate: true, duration: 1.5 });
+        openLocationPopup(location);
+        return;
+    }
+    
+    const center = getAreaCenterById(quote.sourceId);
+    if (!center) {
+        console.warn(`No outline for area ${quote.sourceId}, cannot show its quote on the map`);
+        return;
+    }
+    const area = localizeRecord('areas', areaData.find(a => a.id === quote.sourceId));
+    map.once('moveend', () => {
+        L.popup()
+            .setLatLng(center)
+            .setContent(`<strong>${escapeHtml(area.title)}</strong><br>${escapeHtml(quote.text)}`)
+            .openOn(map);
+    });
+    map.flyTo(center, 16, { animate: true, duration: 1.5 });
+}
+
+// ==========================================
+// OFFLINE DOWNLOAD (service worker cache)
+// ==========================================
+
+// Must match OFFLINE_CACHE_NAME in sw.js
+const OFFLINE_CACHE_NAME = 'bhimdhunga-offline-v1';
+
+// Ward 8 tile pyramid for the offline basemaps
+const OFFLINE_TILE_BOUNDS = WARD_8_BOUNDS;
+const OFFLINE_MIN_ZOOM = 13;
+const OFFLINE_MAX_ZOOM = 18;
+
+// FontAwesome loads its icon fonts from ../webfonts/ next to its stylesheet
+const FONTAWESOME_WEBFONTS = ['fa-solid-900.woff2', 'fa-regular-400.woff2', 'fa-brands-400.woff2', 'fa-v4compatibility.woff2'];
+
+// Parallel downloads - kept low so a phone hotspot isn't swamped
+const OFFLINE_DOWNLOAD_CONCURRENCY = 6;
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js')
+        .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+// Tile URLs covering Ward 8 at the offline zooms, built the way L.TileLayer builds them
+function getOfflineTileUrls() {
+    const urls = [];
+    Object.values(BASEMAPS).filter(basemap => basemap.offline).forEach(basemap => {
+        const subdomains = basemap.options.subdomains || 'abc';
+        const maxZoom = Math.min(OFFLINE_MAX_ZOOM, basemap.options.maxNativeZoom || basemap.options.maxZoom);
+        
+        for (let z = OFFLINE_MIN_ZOOM; z <= maxZoom; z++) {
+            const northWest = map.project(OFFLINE_TILE_BOUNDS.getNorthWest(), z).divideBy(256).floor();
+            const southEast = map.project(OFFLINE_TILE_BOUNDS.getSouthEast(), z).divideBy(256).floor();
+            for (let x = northWest.x; x <= southEast.x; x++) {
+                for (let y = northWest.y; y <= southEast.y; y++) {
+                    // Same subdomain choice as L.TileLayer, or the cached copy would never be asked for
+                    const s = subdomains[Math.abs(x + y) % subdomains.length];
+                    urls.push(L.Util.template(basemap.url, { s, x, y, z }));
+                }
+            }
+        }
+    });
+    return urls;
+}
+
+// App files, data, libraries, boundaries and media the storymap needs with no connection
+async function getOfflineAssetUrls() {
+    const urls = ['./', 'index.html', 'script.js', 'style.css', 'sw.js', 'manifest.webmanifest', 'ALIN_logo.jpg',
+        STORY_DATASET_URL, JOURNEY_INDEX_URL, AREA_BOUNDARIES_URL, ...OPEN_DATA_FILES,
+        ...SUPPORTED_LANGUAGES.map(language => `${I18N_URL}${language}.json`),
+        'photos/team_members.jpg', 'photos/headshots/Community_Member.jpg', 'photos/headshots/Local_Resident.jpg'];
+    
+    const index = await fetch(JOURNEY_INDEX_URL).then(response => response.json());
+    index.journeys.forEach(file => urls.push(`data/journeys/${file}`));
+    Object.values(journeys).forEach(journey => urls.push(journey.introVideo));
+    
+    // Leaflet, markercluster and FontAwesome straight from the page's own tags
+    document.querySelectorAll('link[rel="stylesheet"][href^="http"], script[src^="http"]').forEach(tag => {
+        urls.push(tag.href || tag.src);
+        if (/font-awesome/.test(tag.href)) {
+            FONTAWESOME_WEBFONTS.forEach(font => urls.push(new URL(`../webfonts/${font}`, tag.href).href));
+        }
+    });
+    document.querySelectorAll('video source[src]').forEach(source => urls.push(source.getAttribute('src')));
+    
+    urls.push(BOUNDARY_SOURCES_URL);
+    Object.values(BOUNDARY_GEOJSON_URLS).flat().forEach(url => urls.push(url));
+    
+    // Remote videos are embedded players (Google Drive, YouTube) that can't be cached
+    const addVideos = videos => (videos || []).filter(video => !/^https?:/.test(video.url)).forEach(video => {
+        urls.push(video.url, ...Object.values(video.captions || {}));
+    });
+    participants.forEach(participant => {
+        urls.push(participant.headshot);
+        addVideos(participant.videos);
+        // Guided stories show three lifestyle photos next to the video
+        if ((participant.videos || []).length) {
+            const photoPrefix = participant.name.replace(/\s+/g, '_');
+            [1, 2, 3].forEach(n => urls.push(`photos/lifestyle/${photoPrefix}_${n}.jpg`));
+        }
+    });
+    storyLocations.forEach(location => {
+        addVideos(location.videos);
+        if (location.foundation) urls.push(location.foundation.logo);
+    });
+    
+    return urls.filter(Boolean);
+}
+
+// Fill the offline cache so the storymap runs with no connection at all
+async function downloadForOffline() {
+    const status = document.getElementById('offline-status');
+    if (!('caches' in window) || !('serviceWorker' in navigator)) {
+        status.textContent = t('offline.unsupported');
+        return;
+    }
+    
+    try {
+        const cache = await caches.open(OFFLINE_CACHE_NAME);
+        const urls = [...new Set([...await getOfflineAssetUrls(), ...getOfflineTileUrls()])];
+        let done = 0;
+        const failed = [];
+        
+        // Ask the browser not to evict the download when storage runs low
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist();
+        }
+        
+        const queue = [...urls];
+        const worker = async () => {
+            while (queue.length) {
+                const url = queue.shift();
+                try {
+                    const response = await fetch(url, { cache: 'reload' });
+                    if (!response.ok) {
+                        throw new Error(`${response.status}`);
+                    }
+                    await cache.put(url, response);
+                } catch (error) {
+                    failed.push(url);
+                    console.warn(`Offline download failed for ${url}:`, error);
+                }
+                done++;
+                status.textContent = t('offline.progress', { done: formatNumber(done), total: formatNumber(urls.length) });
+            }
+        };
+        await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+        
+        localStorage.setItem('offlineDownloaded', new Date().toISOString());
+        status.textContent = failed.length
+            ? t('offline.partial', { failed: formatNumber(failed.length), total: formatNumber(urls.length) })
+            : t('offline.done', { total: formatNumber(urls.length) });
+    } catch (error) {
+        console.error('Error downloading for offline use:', error);
+        status.textContent = t('offline.error');
+    }
+}
+
+// Last offline download, shown under the button
+function getOfflineStatusText() {
+    const downloaded = localStorage.getItem('offlineDownloaded');
+    if (!downloaded) return '';
+    return t('offline.last', { date: localizeDigits(downloaded.slice(0, 10)) });
+}
@@ -0,0 +1,95 @@
+// Service worker - lets the storymap be installed and run from the offline cache
+// that "Download for offline" (Open Data panel) fills in script.js.
+
+// Must match OFFLINE_CACHE_NAME in script.js; bump both to drop an old download
+const OFFLINE_CACHE_NAME = 'bhimdhunga-offline-v1';
+
+// Enough to open the app once installed; everything else comes from the offline download
+const APP_SHELL = ['./', 'index.html', 'script.js', 'style.css', 'manifest.webmanifest', 'ALIN_logo.jpg'];
+
+// How long to wait for the network before serving app files from the cache (slow village connections)
+const NETWORK_TIMEOUT_MS = 4000;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(OFFLINE_CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('bhimdhunga-offline-') && name !== OFFLINE_CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isAppFile = url.origin === self.location.origin && !/\.(mp4|mov|jpe?g|png|vtt)$/i.test(url.pathname);
+
+    event.respondWith(isAppFile ? networkFirst(request) : cacheFirst(request));
+});
+
+// App code and data: fresh from the network when it answers in time, otherwise the cached copy
+async function networkFirst(request) {
+    const cache = await caches.open(OFFLINE_CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+        (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+
+    try {
+        const response = await withTimeout(fetch(request), cached ? NETWORK_TIMEOUT_MS : null);
+        // Only refresh files that were downloaded, so the cache doesn't grow on its own
+        if (response.ok && cached) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Tiles, libraries, photos and videos: cached copy first, network otherwise
+async function cacheFirst(request) {
+    const cached = await caches.match(request.url);
+    if (!cached) {
+        return fetch(request);
+    }
+
+    // Video elements ask for byte ranges; answer them from the cached file
+    const range = request.headers.get('range');
+    return range ? rangeResponse(cached, range) : cached;
+}
+
+async function rangeResponse(response, range) {
+    const blob = await response.blob();
+    const [, startText, endText] = /bytes=(\d*)-(\d*)/.exec(range) || [];
+    const start = Number(startText) || 0;
+    const end = endText ? Math.min(Number(endText), blob.size - 1) : blob.size - 1;
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'video/mp4',
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+function withTimeout(promise, milliseconds) {
+    if (!milliseconds) return promise;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timed out')), milliseconds))
+    ]);
+}
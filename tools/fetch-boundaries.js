@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Boundary fetcher - builds the administrative boundary GeoJSON listed in data/boundaries/sources.json
+// from the pinned nepal-geojson npm package and records a checksum for each file it writes.
+//
+// Usage (from the repository root):
+//   node tools/fetch-boundaries.js            rebuild the files from the pinned package version
+//   node tools/fetch-boundaries.js --update   re-pin to the package version named in sources.json, then rebuild
+//   node tools/fetch-boundaries.js --check    no network - confirm bundled files match their sha256
+//
+// Review the map after --update before committing; upstream edits change what the storymap shows.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCES_PATH = 'data/boundaries/sources.json';
+const NPM_REGISTRY = 'https://registry.npmjs.org';
+
+const args = process.argv.slice(2);
+const update = args.includes('--update');
+const checkOnly = args.includes('--check');
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+// Tarball URL, integrity and licence of the package version named in sources.json
+async function resolvePackage(pkg) {
+    const response = await fetch(`${NPM_REGISTRY}/${pkg.name}/${pkg.version}`);
+    if (!response.ok) {
+        throw new Error(`${pkg.name}@${pkg.version} returned ${response.status}`);
+    }
+    const manifest = await response.json();
+    pkg.tarball = manifest.dist.tarball;
+    pkg.integrity = manifest.dist.integrity;
+    pkg.license = manifest.license || 'NOASSERTION';
+}
+
+// Files of a .tgz as { 'package/path': Buffer } (plain ustar, which is what npm publishes)
+function readTarball(buffer) {
+    const tar = zlib.gunzipSync(buffer);
+    const files = {};
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        if (!name) break;
+        const prefix = header.toString('utf8', 345, 500).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+        const type = header.toString('utf8', 156, 157);
+        if (type === '0' || type === '\0' || type === '') {
+            files[prefix ? `${prefix}/${name}` : name] = tar.subarray(offset + 512, offset + 512 + size);
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// Trim coordinates to the manifest precision (5 decimals is about a metre) to keep the files small
+function roundCoordinates(coordinates, factor) {
+    return typeof coordinates[0] === 'number'
+        ? coordinates.map(value => Math.round(value * factor) / factor)
+        : coordinates.map(inner => roundCoordinates(inner, factor));
+}
+
+function buildEntry(entry, files, precision) {
+    const factor = 10 ** precision;
+    const features = entry.paths.flatMap(filePath => {
+        if (!files[filePath]) {
+            throw new Error(`${filePath} is not in the package`);
+        }
+        return JSON.parse(files[filePath].toString('utf8')).features;
+    });
+    features.forEach(feature => {
+        feature.geometry.coordinates = roundCoordinates(feature.geometry.coordinates, factor);
+    });
+
+    const buffer = Buffer.from(JSON.stringify({ type: 'FeatureCollection', features }) + '\n');
+    const filePath = path.join(ROOT, entry.file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+
+    const checksum = sha256(buffer);
+    if (checksum !== entry.sha256) {
+        entry.sha256 = checksum;
+        entry.retrieved = new Date().toISOString().slice(0, 10);
+    }
+    console.log(`${entry.id}: ${features.length} features -> ${entry.file}`);
+}
+
+function checkEntry(entry) {
+    const filePath = path.join(ROOT, entry.file);
+    if (!fs.existsSync(filePath)) {
+        return `${entry.id}: ${entry.file} is missing`;
+    }
+    if (!entry.sha256) {
+        return `${entry.id}: ${entry.file} has no sha256 in ${SOURCES_PATH}`;
+    }
+    if (sha256(fs.readFileSync(filePath)) !== entry.sha256) {
+        return `${entry.id}: ${entry.file} does not match its pinned sha256 - edited by hand?`;
+    }
+    return null;
+}
+
+async function main() {
+    const sourcesFile = path.join(ROOT, SOURCES_PATH);
+    const sources = JSON.parse(fs.readFileSync(sourcesFile, 'utf8'));
+    const entries = sources.files.filter(entry => entry.paths);
+
+    sources.files.filter(entry => !entries.includes(entry)).forEach(entry => {
+        console.warn(`${entry.id}: no upstream source recorded, skipped`);
+    });
+
+    if (checkOnly) {
+        const problems = entries.map(checkEntry).filter(Boolean);
+        problems.forEach(problem => console.error(`ERROR ${problem}`));
+        console.log(`${entries.length} boundary files checked: ${problems.length} problems`);
+        process.exit(problems.length ? 1 : 0);
+    }
+
+    const pkg = sources.package;
+    if (update || !pkg.integrity) {
+        await resolvePackage(pkg);
+    }
+    const tarball = await download(pkg.tarball);
+    const integrity = `sha512-${crypto.createHash('sha512').update(tarball).digest('base64')}`;
+    if (integrity !== pkg.integrity) {
+        throw new Error(`${pkg.name}@${pkg.version} does not match its pinned integrity`);
+    }
+
+    const files = readTarball(tarball);
+    entries.forEach(entry => buildEntry(entry, files, sources.precision));
+
+    fs.writeFileSync(sourcesFile, JSON.stringify(sources, null, 2) + '\n');
+}
+
+main().catch(error => {
+    console.error(`ERROR ${error.message}`);
+    process.exit(1);
+});
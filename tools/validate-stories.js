@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// Story dataset validator - checks data/stories.json, data/areas.geojson and data/journeys/ (and the
+// camera targets in script.js and data/i18n/) for schema problems and coordinate disagreements
+// before they reach the map.
+//
+// Usage (from the repository root):
+//   node tools/validate-stories.js
+//
+// Exits with status 1 when any error is found. Warnings are reported but do not fail.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STORY_DATASET_PATH = 'data/stories.json';
+const JOURNEY_DIR = 'data/journeys';
+const AREA_BOUNDARIES_PATH = 'data/areas.geojson';
+const I18N_DIR = 'data/i18n';
+
+// Rough bounding box around Nagarjun Municipality Ward 8 (Bhimdhunga)
+const WARD_8_BOUNDS = { south: 27.715, north: 27.750, west: 85.215, east: 85.255 };
+
+// How far apart two coordinates for the same place may be before we call it a disagreement
+const COORDINATE_TOLERANCE_METRES = 25;
+
+const LOCATION_TYPES = ['house', 'foundation', 'khajaghar', 'street_interview', 'shop', 'school', 'ward_office'];
+
+// Required fields for every location, plus extras per type (what openLocationPopup needs to render it)
+const REQUIRED_FIELDS = ['id', 'type', 'lat', 'lng', 'title'];
+const REQUIRED_FIELDS_BY_TYPE = {
+    house: ['digitalAccess', 'participantId', 'stats'],
+    foundation: ['digitalAccess', 'foundation'],
+    khajaghar: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    street_interview: ['participantId', 'badge', 'locationName', 'interviewCount'],
+    shop: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    school: ['digitalAccess', 'participantId', 'locationName', 'interviewCount'],
+    ward_office: ['digitalAccess', 'participantId', 'locationName', 'interviewCount']
+};
+
+const errors = [];
+const warnings = [];
+
+function error(where, message) {
+    errors.push(`${where}: ${message}`);
+}
+
+function warn(where, message) {
+    warnings.push(`${where}: ${message}`);
+}
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+// Media paths are relative to the site root; remote URLs are not checked
+function checkMediaPath(where, mediaPath) {
+    if (!mediaPath || /^https?:\/\//.test(mediaPath)) return;
+    if (!fs.existsSync(path.join(ROOT, mediaPath))) {
+        error(where, `file not found on disk: ${mediaPath}`);
+    }
+}
+
+// Distance in metres between two lat/lng points (haversine)
+function distanceMetres(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function isInWard8(point) {
+    return point.lat >= WARD_8_BOUNDS.south && point.lat <= WARD_8_BOUNDS.north &&
+        point.lng >= WARD_8_BOUNDS.west && point.lng <= WARD_8_BOUNDS.east;
+}
+
+function formatPoint(point) {
+    return `${point.lat}, ${point.lng}`;
+}
+
+// Access levels getLocationIcon has a case for, read from script.js so the two can't drift
+function getKnownAccessLevels(script) {
+    const start = script.indexOf('const getLocationIcon');
+    const end = script.indexOf('return L.divIcon', start);
+    const body = script.slice(start, end);
+    return [...body.matchAll(/case '([^']+)':/g)].map(match => match[1]);
+}
+
+// Ray casting test for one ring of [lng, lat] points (same test as pointInRing in script.js)
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point.lat) !== (yj > point.lat) && point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function getPolygons(feature) {
+    return feature.geometry.type === 'MultiPolygon' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+}
+
+function featureContains(feature, point) {
+    return getPolygons(feature).some(([outer, ...holes]) =>
+        pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole)));
+}
+
+// Area outline for an area name as used by journey hints ('Majuwa', 'Ward Office') or a dataset id
+function findArea(areas, areaName) {
+    const key = areaName.toLowerCase().replace(/[^a-z]/g, '');
+    return areas.find(feature =>
+        feature.properties.name.toLowerCase().replace(/[^a-z]/g, '') === key ||
+        feature.properties.id.replace(/[^a-z]/g, '') === key);
+}
+
+// Toles a story can be assigned to (STORY_AREA_IDS in script.js)
+function getStoryAreaIds(script) {
+    const match = script.match(/const STORY_AREA_IDS = \[([^\]]*)\]/);
+    return match ? [...match[1].matchAll(/'([^']+)'/g)].map(id => id[1]) : [];
+}
+
+// The tole a point falls in, the way getAreaAt in script.js assigns it
+function getAreaAt(areas, storyAreaIds, point) {
+    return areas.find(feature => storyAreaIds.includes(feature.properties.id) && featureContains(feature, point))?.properties.id || null;
+}
+
+function validateLocations(dataset, knownAccessLevels) {
+    const seenIds = new Set();
+
+    dataset.locations.forEach((location, index) => {
+        const where = `location ${location.id || `#${index}`}`;
+
+        if (location.id && seenIds.has(location.id)) {
+            error(where, 'duplicate id');
+        }
+        seenIds.add(location.id);
+
+        if (!LOCATION_TYPES.includes(location.type)) {
+            error(where, `unknown type "${location.type}"`);
+        }
+
+        const required = [...REQUIRED_FIELDS, ...(REQUIRED_FIELDS_BY_TYPE[location.type] || [])];
+        required.forEach(field => {
+            if (!(field in location)) {
+                error(where, `missing required field "${field}"`);
+            }
+        });
+
+        if (typeof location.lat !== 'number' || typeof location.lng !== 'number') {
+            error(where, 'lat/lng must be numbers');
+        } else if (location.type !== 'foundation' && !isInWard8(location)) {
+            // The foundation marks the ALIN office, which is outside the study area
+            error(where, `coordinates ${formatPoint(location)} are outside Ward 8`);
+        }
+
+        if ('digitalAccess' in location) {
+            const allowed = location.type === 'foundation' ? ['foundation'] : knownAccessLevels.filter(level => level !== 'foundation');
+            if (!allowed.includes(location.digitalAccess)) {
+                error(where, `access level "${location.digitalAccess}" is not one getLocationIcon knows (${allowed.join(', ')})`);
+            }
+        }
+
+        if (location.participantId !== undefined && location.participantId !== null &&
+            !dataset.participants.some(participant => participant.id === location.participantId)) {
+            error(where, `participant "${location.participantId}" is not in the registry`);
+        }
+
+        // Houses without quotes fall back to their story quote
+        if (location.type === 'house' && !(location.quotes || []).length && !location.story?.quote) {
+            error(where, 'has neither quotes nor a story quote');
+        }
+
+        (location.quotes || []).forEach((quote, i) => {
+            if (!quote.text) {
+                error(where, `quote ${i + 1} has no text`);
+            }
+            (quote.tags || []).forEach(tag => {
+                if (!dataset.themes.some(theme => theme.id === tag)) {
+                    error(where, `quote ${i + 1} is tagged "${tag}", which is not in the theme list`);
+                }
+            });
+        });
+
+        (location.videos || []).forEach((video, i) => {
+            if (!video.url) {
+                error(where, `video ${i + 1} has no url`);
+            }
+            checkMediaPath(where, video.url);
+        });
+
+        if (location.foundation) {
+            checkMediaPath(where, location.foundation.logo);
+        }
+    });
+}
+
+function validateParticipants(dataset) {
+    const seenIds = new Set();
+
+    dataset.participants.forEach((participant, index) => {
+        const where = `participant ${participant.id || `#${index}`}`;
+
+        ['id', 'name', 'aliases', 'location'].forEach(field => {
+            if (!(field in participant)) {
+                error(where, `missing required field "${field}"`);
+            }
+        });
+
+        if (participant.id && seenIds.has(participant.id)) {
+            error(where, 'duplicate id');
+        }
+        seenIds.add(participant.id);
+
+        if (participant.headshot) {
+            checkMediaPath(where, participant.headshot);
+        } else {
+            warn(where, 'no headshot (the default avatar will be shown)');
+        }
+
+        (participant.videos || []).forEach(video => {
+            checkMediaPath(where, video.url);
+            Object.values(video.captions || {}).forEach(track => checkMediaPath(where, track));
+        });
+
+        // The participant's home location should point back at them
+        const home = dataset.locations.find(location => location.id === participant.location);
+        if (!home) {
+            error(where, `home location "${participant.location}" does not exist`);
+        } else if (home.participantId !== participant.id) {
+            warn(where, `home location ${home.id} belongs to "${home.participantId}"`);
+        }
+    });
+}
+
+// Every outline must be a closed polygon inside Ward 8 with an id and a name
+function validateAreaBoundaries(areas) {
+    const seenIds = new Set();
+
+    areas.forEach((feature, index) => {
+        const properties = feature.properties || {};
+        const where = `area outline ${properties.id || `#${index}`}`;
+
+        ['id', 'name'].forEach(field => {
+            if (!properties[field]) {
+                error(where, `missing required property "${field}"`);
+            }
+        });
+        if (properties.id && seenIds.has(properties.id)) {
+            error(where, 'duplicate id');
+        }
+        seenIds.add(properties.id);
+
+        if (!feature.geometry || !['Polygon', 'MultiPolygon'].includes(feature.geometry.type)) {
+            error(where, 'geometry must be a Polygon or MultiPolygon');
+            return;
+        }
+
+        getPolygons(feature).flat().forEach(ring => {
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+                error(where, 'every ring must be closed and have at least four points');
+            }
+            if (ring.some(([lng, lat]) => !isInWard8({ lat, lng }))) {
+                error(where, 'has points outside Ward 8');
+            }
+        });
+
+        if (!properties.surveyed) {
+            warn(where, 'is a provisional outline, not a surveyed boundary');
+        }
+    });
+}
+
+// Community areas in the dataset are placed by their outlines alone
+function validateAreas(dataset, areas, storyAreaIds) {
+    (dataset.areas || []).forEach(area => {
+        const where = `area ${area.id}`;
+        if (!findArea(areas, area.id)) {
+            warn(where, `no matching outline in ${AREA_BOUNDARIES_PATH}`);
+        }
+        if ('lat' in area || 'lng' in area) {
+            warn(where, `has lat/lng, which the map ignores - its centre comes from its outline`);
+        }
+    });
+
+    // Areas are assigned from the outlines, so a hand-typed area that disagrees is ignored
+    dataset.locations.filter(location => location.area).forEach(location => {
+        const assigned = getAreaAt(areas, storyAreaIds, location);
+        if (assigned !== location.area) {
+            warn(`location ${location.id}`, `tagged as ${location.area} but its point lies in ${assigned || 'no area'} (the outline wins)`);
+        }
+    });
+}
+
+function validateJourneys(dataset, areas) {
+    const index = readJson(`${JOURNEY_DIR}/index.json`);
+
+    index.journeys.forEach(file => {
+        let journey;
+        try {
+            journey = readJson(`${JOURNEY_DIR}/${file}`);
+        } catch (e) {
+            error(`journey ${file}`, `cannot be read: ${e.message}`);
+            return;
+        }
+
+        const where = `journey ${journey.id || file}`;
+        ['id', 'mode', 'status', 'name', 'stops'].forEach(field => {
+            if (!(field in journey)) {
+                error(where, `missing required field "${field}"`);
+            }
+        });
+        checkMediaPath(where, journey.introVideo);
+
+        (journey.stops || []).forEach((stop, i) => {
+            const stopWhere = `${where} stop ${stop.id || i + 1}`;
+            const location = dataset.locations.find(l => l.id === stop.location);
+
+            if (!location) {
+                error(stopWhere, `location "${stop.location}" does not exist`);
+                return;
+            }
+
+            if (stop.participant && stop.participant !== location.participantId) {
+                error(stopWhere, `participant "${stop.participant}" does not match ${location.id} ("${location.participantId}")`);
+            }
+
+            // "Find" hints send the user to an area - the stop should be in it
+            if (stop.hint && stop.hint.area) {
+                const outline = findArea(areas, stop.hint.area);
+                if (!outline) {
+                    error(stopWhere, `hint area "${stop.hint.area}" has no outline on the map`);
+                } else if (!featureContains(outline, location)) {
+                    warn(stopWhere, `hint points to ${stop.hint.area} but ${location.id} lies outside its outline`);
+                }
+            }
+        });
+    });
+}
+
+// The journey camera (animateToLocation, story mode) flies to getStoryLocation(stop.location), the
+// record the marker is drawn from, so the two can only drift apart through a hard-coded point in
+// script.js - the old Street Interview 3 target sat 545 m from its marker - or a translation that
+// moves a location or re-points a stop
+function validateCameraTargets(script, dataset) {
+    // Five or more decimals inside the ward means a specific spot rather than an overview view
+    const pointLiteral = /\[\s*(-?\d+\.\d{5,})\s*,\s*(-?\d+\.\d{5,})\s*\]/g;
+    for (const match of script.matchAll(pointLiteral)) {
+        const point = { lat: Number(match[1]), lng: Number(match[2]) };
+        if (!isInWard8(point)) continue;
+
+        const nearest = dataset.locations
+            .map(location => ({ location, distance: distanceMetres(point, location) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (!nearest || nearest.distance > COORDINATE_TOLERANCE_METRES) {
+            const line = script.slice(0, match.index).split('\n').length;
+            const marker = nearest ? ` - the nearest marker, ${nearest.location.id}, is ${Math.round(nearest.distance)} m away` : '';
+            error(`script.js:${line}`, `hard-coded point ${formatPoint(point)} matches no story marker${marker}; fly to the location record instead`);
+        }
+    }
+
+    fs.readdirSync(path.join(ROOT, I18N_DIR)).filter(file => file.endsWith('.json')).forEach(file => {
+        const content = readJson(`${I18N_DIR}/${file}`).content || {};
+        Object.entries(content.locations || {}).forEach(([id, translation]) => {
+            if ('lat' in translation || 'lng' in translation) {
+                error(`${file} location ${id}`, 'translations cannot move a marker - drop lat/lng');
+            }
+        });
+        Object.entries(content.journeys || {}).forEach(([id, translation]) => {
+            (translation.stops || []).forEach((stop, i) => {
+                if (stop && ['location', 'participant', 'lat', 'lng'].some(field => field in stop)) {
+                    error(`${file} journey ${id} stop ${i + 1}`, 'translations cannot change where a stop flies to');
+                }
+            });
+        });
+    });
+}
+
+// Two records at (almost) the same spot usually means a copy-paste slip
+function validateOverlaps(dataset) {
+    const locations = dataset.locations;
+    for (let i = 0; i < locations.length; i++) {
+        for (let j = i + 1; j < locations.length; j++) {
+            const distance = distanceMetres(locations[i], locations[j]);
+            if (distance < 2) {
+                warn(`location ${locations[i].id}`, `sits ${distance.toFixed(1)} m from ${locations[j].id}`);
+            }
+        }
+    }
+}
+
+function main() {
+    const script = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+    const dataset = readJson(STORY_DATASET_PATH);
+    const knownAccessLevels = getKnownAccessLevels(script);
+    const areas = readJson(AREA_BOUNDARIES_PATH).features || [];
+    const storyAreaIds = getStoryAreaIds(script);
+
+    dataset.locations = dataset.locations || [];
+    dataset.participants = dataset.participants || [];
+    dataset.themes = dataset.themes || [];
+
+    validateLocations(dataset, knownAccessLevels);
+    validateParticipants(dataset);
+    validateAreaBoundaries(areas);
+    validateAreas(dataset, areas, storyAreaIds);
+    validateJourneys(dataset, areas);
+    validateCameraTargets(script, dataset);
+    validateOverlaps(dataset);
+
+    warnings.forEach(message => console.warn(`warning  ${message}`));
+    errors.forEach(message => console.error(`error    ${message}`));
+    console.log(`\n${dataset.locations.length} locations, ${dataset.participants.length} participants checked: ${errors.length} errors, ${warnings.length} warnings`);
+
+    process.exitCode = errors.length ? 1 : 0;
+}
+
+main();